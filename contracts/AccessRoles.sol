@@ -0,0 +1,219 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.19;
+
+/**
+ * @title AccessRoles
+ * @author NeoMesh Team
+ * @notice Owner plus enumerable operational roles shared by all NeoMesh contracts
+ * @dev The owner implicitly holds every role. ADMIN_ROLE holders manage role membership
+ *      but cannot transfer ownership. Ownership moves in two steps: the owner proposes,
+ *      the pending owner accepts once the optional transfer delay has passed.
+ */
+abstract contract AccessRoles {
+    // ============ Constants ============
+
+    bytes32 public constant ADMIN_ROLE = keccak256("ADMIN_ROLE");
+    bytes32 public constant RISK_MANAGER_ROLE = keccak256("RISK_MANAGER_ROLE");
+    bytes32 public constant GUARDIAN_ROLE = keccak256("GUARDIAN_ROLE");
+    bytes32 public constant COMPLIANCE_ROLE = keccak256("COMPLIANCE_ROLE");
+    bytes32 public constant KEEPER_ROLE = keccak256("KEEPER_ROLE");
+    uint256 public constant MAX_OWNERSHIP_TRANSFER_DELAY = 30 days;
+
+    // ============ Custom Errors ============
+
+    error NotOwner();
+    error ZeroAddress();
+    error MissingRole(bytes32 role, address account);
+    error NotPendingOwner();
+    error NoPendingOwnershipTransfer();
+    error OwnershipTransferNotReady();
+    error InvalidOwnershipTransferDelay();
+
+    // ============ State Variables ============
+
+    address public owner;
+    address public pendingOwner;
+    uint256 public ownershipTransferReadyAt; // earliest acceptance time for pendingOwner
+    uint256 public ownershipTransferDelay;
+
+    mapping(bytes32 => address[]) private _roleMembers;
+    mapping(bytes32 => mapping(address => uint256)) private _roleMemberIndex; // 1-based
+
+    // ============ Events ============
+
+    event OwnershipTransferred(address indexed previousOwner, address indexed newOwner);
+    event OwnershipTransferProposed(
+        address indexed currentOwner,
+        address indexed pendingOwner,
+        uint256 readyAt
+    );
+    event OwnershipTransferCancelled(address indexed currentOwner, address indexed pendingOwner);
+    event OwnershipTransferDelayUpdated(uint256 oldDelay, uint256 newDelay);
+    event RoleGranted(bytes32 indexed role, address indexed account, address indexed sender);
+    event RoleRevoked(bytes32 indexed role, address indexed account, address indexed sender);
+
+    // ============ Modifiers ============
+
+    modifier onlyOwner() {
+        if (msg.sender != owner) revert NotOwner();
+        _;
+    }
+
+    modifier onlyRole(bytes32 role) {
+        if (!_checkRole(role, msg.sender)) revert MissingRole(role, msg.sender);
+        _;
+    }
+
+    // ============ Constructor ============
+
+    constructor() {
+        owner = msg.sender;
+    }
+
+    // ============ External Functions ============
+
+    /**
+     * @notice Grant a role to an account
+     * @param role Role identifier
+     * @param account Account receiving the role
+     */
+    function grantRole(bytes32 role, address account) external onlyRole(ADMIN_ROLE) {
+        if (account == address(0)) revert ZeroAddress();
+        if (_roleMemberIndex[role][account] != 0) return;
+
+        _roleMembers[role].push(account);
+        _roleMemberIndex[role][account] = _roleMembers[role].length;
+
+        emit RoleGranted(role, account, msg.sender);
+    }
+
+    /**
+     * @notice Revoke a role from an account
+     * @param role Role identifier
+     * @param account Account losing the role
+     */
+    function revokeRole(bytes32 role, address account) external onlyRole(ADMIN_ROLE) {
+        _revokeRole(role, account);
+    }
+
+    /**
+     * @notice Give up a role held by the caller
+     * @param role Role identifier
+     */
+    function renounceRole(bytes32 role) external {
+        _revokeRole(role, msg.sender);
+    }
+
+    /**
+     * @notice Propose a new owner, who must call acceptOwnership to complete the transfer
+     * @dev Replaces any earlier proposal
+     * @param newOwner Proposed owner address
+     */
+    function transferOwnership(address newOwner) external onlyOwner {
+        if (newOwner == address(0)) revert ZeroAddress();
+
+        uint256 readyAt = block.timestamp + ownershipTransferDelay;
+        pendingOwner = newOwner;
+        ownershipTransferReadyAt = readyAt;
+
+        emit OwnershipTransferProposed(owner, newOwner, readyAt);
+    }
+
+    /**
+     * @notice Accept a proposed ownership transfer
+     */
+    function acceptOwnership() external {
+        if (msg.sender != pendingOwner) revert NotPendingOwner();
+        if (block.timestamp < ownershipTransferReadyAt) revert OwnershipTransferNotReady();
+
+        address oldOwner = owner;
+        owner = msg.sender;
+        delete pendingOwner;
+        delete ownershipTransferReadyAt;
+
+        emit OwnershipTransferred(oldOwner, msg.sender);
+    }
+
+    /**
+     * @notice Cancel a proposed ownership transfer
+     */
+    function cancelOwnershipTransfer() external onlyOwner {
+        address pending = pendingOwner;
+        if (pending == address(0)) revert NoPendingOwnershipTransfer();
+
+        delete pendingOwner;
+        delete ownershipTransferReadyAt;
+
+        emit OwnershipTransferCancelled(owner, pending);
+    }
+
+    /**
+     * @notice Set the waiting period between proposing and accepting ownership
+     * @dev Applies to proposals made after the change
+     * @param delay Delay in seconds (0 = accept immediately)
+     */
+    function setOwnershipTransferDelay(uint256 delay) external onlyOwner {
+        if (delay > MAX_OWNERSHIP_TRANSFER_DELAY) revert InvalidOwnershipTransferDelay();
+
+        uint256 oldDelay = ownershipTransferDelay;
+        ownershipTransferDelay = delay;
+
+        emit OwnershipTransferDelayUpdated(oldDelay, delay);
+    }
+
+    // ============ View Functions ============
+
+    /**
+     * @notice Check whether an account was explicitly granted a role
+     * @dev Does not include the owner's implicit membership
+     * @param role Role identifier
+     * @param account Account to check
+     * @return Whether the account holds the role
+     */
+    function hasRole(bytes32 role, address account) external view returns (bool) {
+        return _roleMemberIndex[role][account] != 0;
+    }
+
+    /**
+     * @notice Get all accounts explicitly granted a role
+     * @param role Role identifier
+     * @return Array of role members
+     */
+    function getRoleMembers(bytes32 role) external view returns (address[] memory) {
+        return _roleMembers[role];
+    }
+
+    /**
+     * @notice Get number of accounts explicitly granted a role
+     * @param role Role identifier
+     * @return Number of role members
+     */
+    function getRoleMemberCount(bytes32 role) external view returns (uint256) {
+        return _roleMembers[role].length;
+    }
+
+    // ============ Internal Functions ============
+
+    /**
+     * @dev Whether account may act with role, counting the owner's implicit membership
+     */
+    function _checkRole(bytes32 role, address account) internal view returns (bool) {
+        return account == owner || _roleMemberIndex[role][account] != 0;
+    }
+
+    function _revokeRole(bytes32 role, address account) internal {
+        uint256 index = _roleMemberIndex[role][account];
+        if (index == 0) return;
+
+        // Swap and pop to keep the member list dense
+        address[] storage members = _roleMembers[role];
+        address last = members[members.length - 1];
+        members[index - 1] = last;
+        _roleMemberIndex[role][last] = index;
+        members.pop();
+
+        delete _roleMemberIndex[role][account];
+
+        emit RoleRevoked(role, account, msg.sender);
+    }
+}
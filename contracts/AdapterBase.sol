@@ -1,6 +1,7 @@
 // SPDX-License-Identifier: MIT
 pragma solidity 0.8.19;
 
+import "./AccessRoles.sol";
 import "./interfaces/IAdapter.sol";
 
 /**
@@ -10,10 +11,9 @@ import "./interfaces/IAdapter.sol";
  * @dev Abstract base contract for protocol-agnostic integrations
  * @custom:security-contact security@neomesh.io
  */
-abstract contract AdapterBase is IAdapter {
+abstract contract AdapterBase is AccessRoles, IAdapter {
     // ============ Custom Errors ============
 
-    error NotOwner();
     error NotRouter();
     error IsPaused();
     error ZeroRouter();
@@ -24,11 +24,9 @@ abstract contract AdapterBase is IAdapter {
     error EmergencyModeNotInitiated();
     error EmergencyDelayNotPassed();
     error NoDeposits();
-    error ZeroAddress();
 
     // ============ State Variables ============
 
-    address public owner;
     address public strategyRouter;
     string public protocolName;
     uint256 public riskScore;
@@ -56,15 +54,9 @@ abstract contract AdapterBase is IAdapter {
     event EmergencyModeInitiated(uint256 unlockTime);
     event EmergencyWithdrawal(address indexed user, uint256 amount);
     event EmergencyModeCancelled();
-    event OwnershipTransferred(address indexed previousOwner, address indexed newOwner);
 
     // ============ Modifiers ============
 
-    modifier onlyOwner() {
-        if (msg.sender != owner) revert NotOwner();
-        _;
-    }
-
     modifier onlyRouter() {
         if (msg.sender != strategyRouter) revert NotRouter();
         _;
@@ -85,7 +77,6 @@ abstract contract AdapterBase is IAdapter {
         if (_strategyRouter == address(0)) revert ZeroRouter();
         if (_riskScore < 1 || _riskScore > 10) revert InvalidRiskScore();
 
-        owner = msg.sender;
         strategyRouter = _strategyRouter;
         protocolName = _protocolName;
         riskScore = _riskScore;
@@ -138,8 +129,9 @@ abstract contract AdapterBase is IAdapter {
         userDeposits[user] -= amount;
         totalDeposits -= amount;
 
-        // Execute withdrawal (interactions)
+        // Execute withdrawal and return the funds to the router (interactions)
         received = _executeWithdraw(amount, data);
+        _transferToRouter(received);
 
         emit Withdrawn(user, amount, received);
     }
@@ -163,6 +155,9 @@ abstract contract AdapterBase is IAdapter {
         
         // Slippage protection
         if (yieldAmount < minYield) revert InsufficientBalance();
+
+        // The router credits the yield to the user
+        _transferToRouter(yieldAmount);
         
         emit Harvested(user, yieldAmount);
     }
@@ -191,6 +186,14 @@ abstract contract AdapterBase is IAdapter {
         return _getProtocolTVL();
     }
 
+    /**
+     * @notice Get the asset this adapter accepts
+     * @return Token address (address(0) for native ETH)
+     */
+    function asset() external view override returns (address) {
+        return _getProtocolAsset();
+    }
+
     /**
      * @notice Get user's balance in this adapter
      * @param user User address
@@ -207,7 +210,7 @@ abstract contract AdapterBase is IAdapter {
      * @notice Pause the adapter
      * @param reason Reason for pausing
      */
-    function pause(string calldata reason) external onlyOwner {
+    function pause(string calldata reason) external onlyRole(GUARDIAN_ROLE) {
         paused = true;
         emit AdapterPaused(reason);
     }
@@ -215,7 +218,7 @@ abstract contract AdapterBase is IAdapter {
     /**
      * @notice Unpause the adapter
      */
-    function unpause() external onlyOwner {
+    function unpause() external onlyRole(ADMIN_ROLE) {
         paused = false;
         emit AdapterUnpaused();
     }
@@ -224,24 +227,13 @@ abstract contract AdapterBase is IAdapter {
      * @notice Update the risk score
      * @param newScore New risk score (1-10)
      */
-    function updateRiskScore(uint256 newScore) external onlyOwner {
+    function updateRiskScore(uint256 newScore) external onlyRole(RISK_MANAGER_ROLE) {
         if (newScore < 1 || newScore > 10) revert InvalidRiskScore();
         uint256 oldScore = riskScore;
         riskScore = newScore;
         emit RiskScoreUpdated(oldScore, newScore);
     }
 
-    /**
-     * @notice Transfer ownership
-     * @param newOwner New owner address
-     */
-    function transferOwnership(address newOwner) external onlyOwner {
-        if (newOwner == address(0)) revert ZeroAddress();
-        address oldOwner = owner;
-        owner = newOwner;
-        emit OwnershipTransferred(oldOwner, newOwner);
-    }
-
     // ============ Emergency Functions ============
 
     /**
@@ -249,7 +241,7 @@ abstract contract AdapterBase is IAdapter {
      * @dev Allows users to bypass router and withdraw directly after delay
      *      Use this when router is compromised or non-functional
      */
-    function initiateEmergencyMode() external onlyOwner {
+    function initiateEmergencyMode() external onlyRole(GUARDIAN_ROLE) {
         emergencyUnlockTime = block.timestamp + EMERGENCY_DELAY;
         emergencyMode = true;
         emit EmergencyModeInitiated(emergencyUnlockTime);
@@ -259,7 +251,7 @@ abstract contract AdapterBase is IAdapter {
      * @notice Cancel emergency mode before timelock expires
      * @dev Use this if router is fixed before delay passes
      */
-    function cancelEmergencyMode() external onlyOwner {
+    function cancelEmergencyMode() external onlyRole(ADMIN_ROLE) {
         emergencyMode = false;
         emergencyUnlockTime = 0;
         emit EmergencyModeCancelled();
@@ -345,6 +337,16 @@ abstract contract AdapterBase is IAdapter {
         virtual 
         returns (uint256);
 
+    /**
+     * @dev Get the asset accepted by the underlying protocol
+     * @return Token address (address(0) for native ETH)
+     */
+    function _getProtocolAsset() 
+        internal 
+        view 
+        virtual 
+        returns (address);
+
     /**
      * @dev Get user's balance in underlying protocol
      * @param user User address
@@ -364,4 +366,12 @@ abstract contract AdapterBase is IAdapter {
     function _transferToUser(address user, uint256 amount) 
         internal 
         virtual;
+
+    /**
+     * @dev Send withdrawn funds to the router, which forwards them to the next adapter or recipient
+     * @param amount Amount to transfer
+     */
+    function _transferToRouter(uint256 amount) 
+        internal 
+        virtual;
 }
\ No newline at end of file
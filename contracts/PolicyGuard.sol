@@ -1,252 +1,291 @@
 // SPDX-License-Identifier: MIT
 pragma solidity 0.8.19;
 
+import "./PolicyGuardStorage.sol";
+
 /**
  * @title PolicyGuard
  * @author NeoMesh Team
  * @notice Enforces spending limits, whitelists, and risk caps per asset and protocol
- * @dev Security contract for policy-driven risk management
+ * @dev Security contract for policy-driven risk management. User policy configuration is
+ *      implemented in PolicyGuardConfig, protocol configuration and administration in
+ *      PolicyGuardAdmin and transfer validation in PolicyGuardValidation; all three are
+ *      executed in this contract's storage
  * @custom:security-contact security@neomesh.io
  * @custom:version 1.0.0
  */
-contract PolicyGuard {
-    // ============ Constants ============
-
-    uint256 public constant MAX_BPS = 10000; // 100% in basis points
-    uint256 public constant MAX_RISK_SCORE = 10;
-    uint256 public constant MIN_RISK_SCORE = 1;
-    string public constant VERSION = "1.0.0";
-
-    // ============ Custom Errors ============
-
-    error NotOwner();
-    error NotAuthorized();
-    error NoActivePolicy();
-    error UserBlacklisted();
-    error InvalidDailyLimit();
-    error InvalidExposureLimit();
-    error InvalidRiskScore();
-    error ZeroAddress();
-    error DailyLimitExceeded();
-    error ProtocolNotWhitelisted();
-    error RiskScoreTooHigh();
-    error PolicyAlreadyExists();
-    error InvalidAmount();
-    error ExposureUnderflow();
-
-    // ============ State Variables ============
-
-    address public owner;
-    bool public paused;
-
-    mapping(address => UserPolicy) public userPolicies;
-    mapping(address => mapping(address => uint256)) public protocolExposure;
-    mapping(address => bool) public whitelistedProtocols;
-    mapping(address => uint256) public protocolRiskScores;
-    mapping(address => bool) public blacklistedUsers;
-    mapping(address => bool) public authorizedCallers; // StrategyRouter, adapters
-
-    // ============ Structs ============
-
-    struct UserPolicy {
-        uint256 dailyLimit;
-        uint256 dailySpent;
-        uint256 lastResetTimestamp;
-        uint256 maxProtocolExposure; // in basis points (e.g., 2000 = 20%)
-        uint256 maxRiskScore;
-        bool requireWhitelist;
-        bool active;
-    }
-
-    // ============ Events ============
-
-    event PolicyCreated(
-        address indexed user,
-        uint256 dailyLimit,
-        uint256 maxExposure,
-        uint256 maxRiskScore
-    );
-    event PolicyUpdated(
-        address indexed user,
-        uint256 newDailyLimit,
-        uint256 newMaxExposure,
-        uint256 newMaxRiskScore
-    );
-    event TransferValidated(
-        address indexed user,
-        address indexed protocol,
-        uint256 amount
-    );
-    event TransferBlocked(
-        address indexed user,
-        address indexed protocol,
-        bytes32 reason
-    );
-    event ProtocolWhitelisted(address indexed protocol, uint256 riskScore);
-    event ProtocolRemoved(address indexed protocol);
-    event ProtocolRiskUpdated(address indexed protocol, uint256 oldScore, uint256 newScore);
-    event EmergencyPause(address indexed user, string reason);
-    event UserBlacklistedEvent(address indexed user, string reason);
-    event UserUnblacklisted(address indexed user);
-    event CallerAuthorized(address indexed caller);
-    event CallerRevoked(address indexed caller);
-    event ExposureDecreased(address indexed user, address indexed protocol, uint256 amount);
-    event ExposureReset(address indexed user, address indexed protocol);
-    event PolicyGuardPaused(string reason);
-    event PolicyGuardUnpaused();
-    event OwnershipTransferred(address indexed previousOwner, address indexed newOwner);
+contract PolicyGuard is PolicyGuardStorage {
+    using ReasonCodes for uint256;
+
+    // ============ Immutables ============
+
+    address public immutable POLICY_CONFIG; // PolicyGuardConfig, called via delegatecall
+    address public immutable POLICY_ADMIN; // PolicyGuardAdmin, called via delegatecall
+    address public immutable POLICY_VALIDATION; // PolicyGuardValidation, called via delegatecall
 
-    // ============ Modifiers ============
+    // ============ Constructor ============
 
-    modifier onlyOwner() {
-        if (msg.sender != owner) revert NotOwner();
-        _;
+    /**
+     * @param policyConfig Deployed PolicyGuardConfig
+     * @param policyAdmin Deployed PolicyGuardAdmin
+     * @param policyValidation Deployed PolicyGuardValidation
+     */
+    constructor(address policyConfig, address policyAdmin, address policyValidation) {
+        if (policyConfig == address(0) || policyAdmin == address(0) || policyValidation == address(0)) {
+            revert ZeroAddress();
+        }
+        POLICY_CONFIG = policyConfig;
+        POLICY_ADMIN = policyAdmin;
+        POLICY_VALIDATION = policyValidation;
     }
 
-    modifier onlyAuthorized() {
-        if (!authorizedCallers[msg.sender] && msg.sender != owner) revert NotAuthorized();
-        _;
+    // ============ Policy Configuration ============
+    // Implemented in PolicyGuardConfig; see it for the full behavior
+
+    /// @notice Create a new user policy
+    function createPolicy(uint256, uint256, uint256, bool) external {
+        _delegateToConfig();
     }
 
-    modifier hasActivePolicy(address user) {
-        if (blacklistedUsers[user]) revert UserBlacklisted();
-        if (!userPolicies[user].active) revert NoActivePolicy();
-        _;
+    /// @notice Create a new user policy from a preset, optionally following its updates
+    function createPolicyFromPreset(uint256, bool) external {
+        _delegateToConfig();
     }
 
-    modifier notBlacklisted() {
-        if (blacklistedUsers[msg.sender]) revert UserBlacklisted();
-        _;
+    /// @notice Stop following the caller's preset
+    function unlinkPreset() external {
+        _delegateToConfig();
     }
 
-    modifier whenNotPaused() {
-        if (paused) revert UserBlacklisted(); // Reusing error for simplicity
-        _;
+    /// @notice Apply the latest effective preset parameters to linked policies
+    function syncPresetPolicies(address[] calldata) external {
+        _delegateToConfig();
     }
 
-    // ============ Constructor ============
+    /// @notice Update an existing user policy; loosening changes are timelocked
+    function updatePolicy(uint256, uint256, uint256, bool) external {
+        _delegateToConfig();
+    }
 
-    constructor() {
-        owner = msg.sender;
+    /// @notice Set a dedicated daily limit for a single asset
+    function setAssetLimit(address, uint256) external {
+        _delegateToConfig();
     }
 
-    // ============ External Functions ============
+    /// @notice Set the delay applied to loosening policy changes
+    function setPolicyChangeDelay(uint256) external {
+        _delegateToConfig();
+    }
 
-    /**
-     * @notice Create a new user policy
-     * @param dailyLimit Maximum daily transfer limit in wei
-     * @param maxProtocolExposure Maximum exposure to single protocol (basis points, e.g., 2000 = 20%)
-     * @param maxRiskScore Maximum acceptable risk score (1-10)
-     * @param requireWhitelist Whether to require protocol whitelist
-     */
-    function createPolicy(
-        uint256 dailyLimit,
-        uint256 maxProtocolExposure,
-        uint256 maxRiskScore,
-        bool requireWhitelist
-    ) external notBlacklisted whenNotPaused {
-        if (userPolicies[msg.sender].active) revert PolicyAlreadyExists();
-        if (dailyLimit == 0) revert InvalidDailyLimit();
-        if (maxProtocolExposure > MAX_BPS) revert InvalidExposureLimit();
-        if (maxRiskScore < MIN_RISK_SCORE || maxRiskScore > MAX_RISK_SCORE) {
-            revert InvalidRiskScore();
-        }
+    /// @notice Add or remove protocols from the caller's allowlist
+    function updateAllowlist(address[] calldata, bool) external {
+        _delegateToConfig();
+    }
 
-        userPolicies[msg.sender] = UserPolicy({
-            dailyLimit: dailyLimit,
-            dailySpent: 0,
-            lastResetTimestamp: block.timestamp,
-            maxProtocolExposure: maxProtocolExposure,
-            maxRiskScore: maxRiskScore,
-            requireWhitelist: requireWhitelist,
-            active: true
-        });
-
-        emit PolicyCreated(msg.sender, dailyLimit, maxProtocolExposure, maxRiskScore);
-    }
-
-    /**
-     * @notice Update an existing user policy
-     * @param dailyLimit New maximum daily transfer limit
-     * @param maxProtocolExposure New maximum exposure to single protocol (basis points)
-     * @param maxRiskScore New maximum acceptable risk score
-     * @param requireWhitelist New whitelist requirement
-     */
-    function updatePolicy(
-        uint256 dailyLimit,
-        uint256 maxProtocolExposure,
-        uint256 maxRiskScore,
-        bool requireWhitelist
-    ) external hasActivePolicy(msg.sender) whenNotPaused {
-        if (dailyLimit == 0) revert InvalidDailyLimit();
-        if (maxProtocolExposure > MAX_BPS) revert InvalidExposureLimit();
-        if (maxRiskScore < MIN_RISK_SCORE || maxRiskScore > MAX_RISK_SCORE) {
-            revert InvalidRiskScore();
-        }
+    /// @notice Add or remove protocols from the caller's denylist
+    function updateDenylist(address[] calldata, bool) external {
+        _delegateToConfig();
+    }
 
-        UserPolicy storage policy = userPolicies[msg.sender];
-        policy.dailyLimit = dailyLimit;
-        policy.maxProtocolExposure = maxProtocolExposure;
-        policy.maxRiskScore = maxRiskScore;
-        policy.requireWhitelist = requireWhitelist;
+    /// @notice Cap aggregate exposure to all protocols in a category
+    function setCategoryExposureCap(bytes32, uint256) external {
+        _delegateToConfig();
+    }
 
-        emit PolicyUpdated(msg.sender, dailyLimit, maxProtocolExposure, maxRiskScore);
+    /// @notice Set transfer count and cooldown limits
+    function setVelocityLimits(uint256, uint256) external {
+        _delegateToConfig();
     }
 
-    /**
-     * @notice Validate a transfer against user policy
-     * @param user Address of the user
-     * @param protocol Target protocol address
-     * @param amount Transfer amount
-     * @return valid Whether the transfer is allowed
-     */
-    function validateTransfer(
-        address user,
-        address protocol,
-        uint256 amount
-    ) external hasActivePolicy(user) whenNotPaused returns (bool valid) {
-        if (amount == 0) revert InvalidAmount();
-        
-        UserPolicy storage policy = userPolicies[user];
+    /// @notice Set per-transfer and cooldown threshold limits for a single asset
+    function setAssetVelocityLimits(address, uint256, uint256) external {
+        _delegateToConfig();
+    }
 
-        // Reset daily limit if 24 hours have passed (FIXED: removed -1)
-        if (block.timestamp >= policy.lastResetTimestamp + 1 days) {
-            policy.dailySpent = 0;
-            policy.lastResetTimestamp = block.timestamp;
-        }
+    /// @notice Limit the USD value transferred across all assets per rolling 24 hours
+    function setUsdDailyLimit(uint256) external {
+        _delegateToConfig();
+    }
 
-        // Check daily limit
-        if (policy.dailySpent + amount > policy.dailyLimit) {
-            emit TransferBlocked(user, protocol, "DAILY_LIMIT");
-            return false;
-        }
+    /// @notice Create a policy for a user who signed it off-chain (EIP-712 / ERC-1271)
+    function createPolicyWithSig(address, uint256, uint256, uint256, bool, uint256, bytes calldata) external {
+        _delegateToConfig();
+    }
 
-        // Check whitelist requirement
-        if (policy.requireWhitelist && !whitelistedProtocols[protocol]) {
-            emit TransferBlocked(user, protocol, "NOT_WHITELISTED");
-            return false;
-        }
+    /// @notice Update a policy for a user who signed the update off-chain (EIP-712 / ERC-1271)
+    function updatePolicyWithSig(address, uint256, uint256, uint256, bool, uint256, bytes calldata) external {
+        _delegateToConfig();
+    }
 
-        // Check protocol risk score
-        if (protocolRiskScores[protocol] > policy.maxRiskScore) {
-            emit TransferBlocked(user, protocol, "RISK_TOO_HIGH");
-            return false;
-        }
+    /// @notice Apply a queued policy change once its delay has passed
+    function executePolicyChange(bytes32) external {
+        _delegateToConfig();
+    }
+
+    /// @notice Cancel a queued policy change
+    function cancelPolicyChange(bytes32) external {
+        _delegateToConfig();
+    }
+
+    // ============ Protocol Configuration ============
+    // Implemented in PolicyGuardAdmin; see it for the full behavior
+
+    /// @notice Set the risk oracle consulted before manually assigned protocol risk scores
+    function setRiskOracle(address, uint256) external {
+        _delegateToAdmin();
+    }
+
+    /// @notice Set the sanctions list screened on policy creation and on every transfer
+    function setSanctionsList(address, bool) external {
+        _delegateToAdmin();
+    }
+
+    /// @notice Whitelist a protocol with risk score
+    function whitelistProtocol(address, uint256) external {
+        _delegateToAdmin();
+    }
+
+    /// @notice Remove protocol from whitelist
+    function removeProtocol(address) external {
+        _delegateToAdmin();
+    }
+
+    /// @notice Update protocol risk score
+    function updateProtocolRiskScore(address, uint256) external {
+        _delegateToAdmin();
+    }
+
+    /// @notice Assign a protocol to a category for aggregate exposure caps
+    function setProtocolCategory(address, bytes32) external {
+        _delegateToAdmin();
+    }
+
+    /// @notice Configure automatic enforcement after repeated blocked transfers
+    function setViolationThresholds(uint256, uint256, uint256) external {
+        _delegateToAdmin();
+    }
+
+    /// @notice Cap exposure to a protocol across all users
+    function setProtocolExposureCap(address, uint256, uint256) external {
+        _delegateToAdmin();
+    }
+
+    /// @notice Set the USD price feed for an asset
+    function setPriceFeed(address, address, uint8, uint256, uint256) external {
+        _delegateToAdmin();
+    }
+
+    // ============ Administration ============
+    // Implemented in PolicyGuardAdmin; see it for the full behavior
+
+    /// @notice Set the StrategyRouter used to derive portfolio totals for exposure limits
+    function setStrategyRouter(address) external {
+        _delegateToAdmin();
+    }
+
+    /// @notice Authorize a contract to validate transfers and call decreaseExposure
+    function authorizeCaller(address) external {
+        _delegateToAdmin();
+    }
+
+    /// @notice Revoke authorization from a contract
+    function revokeCaller(address) external {
+        _delegateToAdmin();
+    }
+
+    /// @notice Emergency pause for a specific user (deactivates policy)
+    function emergencyPause(address, string calldata) external {
+        _delegateToAdmin();
+    }
+
+    /// @notice Let a user paused after repeated violations create a new policy again
+    function liftUserPause(address) external {
+        _delegateToAdmin();
+    }
+
+    /// @notice Blacklist a user permanently (persists across policy recreation)
+    function blacklistUser(address, string calldata) external {
+        _delegateToAdmin();
+    }
+
+    /// @notice Blacklist a user with a reason code and an optional expiry
+    function addBlacklistEntry(address, BlacklistReason, uint256, string calldata) external {
+        _delegateToAdmin();
+    }
+
+    /// @notice Remove user from blacklist
+    function unblacklistUser(address) external {
+        _delegateToAdmin();
+    }
+
+    /// @notice Pause all PolicyGuard operations
+    function pause(string calldata) external {
+        _delegateToAdmin();
+    }
+
+    /// @notice Unpause PolicyGuard operations
+    function unpause() external {
+        _delegateToAdmin();
+    }
+
+    /// @notice Recompute a user's exposure from their live balances in the router's adapters
+    function reconcileExposure(address) external {
+        _delegateToAdmin();
+    }
+
+    /// @notice Reset protocol exposure for a user
+    function resetExposure(address, address) external {
+        _delegateToAdmin();
+    }
+
+    // ============ Policy Presets ============
+    // Implemented in PolicyGuardConfig; see it for the full behavior
+
+    /// @notice Register a named policy preset
+    /// @return Identifier of the new preset
+    function createPreset(bytes32, uint256, uint256, uint256, bool) external returns (uint256) {
+        _delegateToConfig();
+    }
+
+    /// @notice Schedule new parameters for a preset, effective after PRESET_NOTICE_PERIOD
+    function updatePreset(uint256, uint256, uint256, uint256, bool) external {
+        _delegateToConfig();
+    }
+
+    /// @notice Allow or stop new adoptions of a preset
+    function setPresetActive(uint256, bool) external {
+        _delegateToConfig();
+    }
 
-        // Update daily spent and protocol exposure
-        policy.dailySpent += amount;
-        protocolExposure[user][protocol] += amount;
+    // ============ Transfer Validation ============
+    // Implemented in PolicyGuardValidation; see it for the full behavior
 
-        emit TransferValidated(user, protocol, amount);
-        return true;
+    /// @notice Validate a transfer against user policy
+    /// @return Whether the transfer is allowed
+    function validateTransfer(address, address, address, uint256) external returns (bool) {
+        _delegateToValidation();
     }
 
+    /// @notice Validate a deposit of new funds into a protocol against user policy
+    /// @return Whether the deposit is allowed
+    function validateDeposit(address, address, address, uint256) external returns (bool) {
+        _delegateToValidation();
+    }
+
+    /// @notice Validate a withdrawal from the user's positions to a recipient against user policy
+    /// @return Whether the withdrawal is allowed
+    function validateWithdrawal(address, address, address, uint256) external returns (bool) {
+        _delegateToValidation();
+    }
+
+    // ============ External Functions ============
+
     /**
      * @notice Decrease protocol exposure when user withdraws
      * @dev Only callable by authorized contracts (StrategyRouter, adapters)
      * @param user User address
      * @param protocol Protocol address
-     * @param amount Amount to decrease
+     * @param amount Amount to decrease; ExposureDecreased carries the amount actually removed
      */
     function decreaseExposure(
         address user,
@@ -256,26 +295,13 @@ contract PolicyGuard {
         if (amount == 0) return;
 
         uint256 currentExposure = protocolExposure[user][protocol];
-        
-        if (currentExposure >= amount) {
-            protocolExposure[user][protocol] -= amount;
-        } else {
-            // If amount exceeds current exposure, set to zero
-            protocolExposure[user][protocol] = 0;
-        }
+        // If amount exceeds current exposure, only the current exposure is removed
+        uint256 removed = currentExposure >= amount ? amount : currentExposure;
 
-        emit ExposureDecreased(user, protocol, amount);
-    }
+        protocolExposure[user][protocol] = currentExposure - removed;
+        totalProtocolExposure[protocol] -= removed;
 
-    /**
-     * @notice Reset protocol exposure for a user
-     * @dev Emergency function - use with caution
-     * @param user User address
-     * @param protocol Protocol address
-     */
-    function resetExposure(address user, address protocol) external onlyOwner {
-        protocolExposure[user][protocol] = 0;
-        emit ExposureReset(user, protocol);
+        emit ExposureDecreased(user, protocol, removed);
     }
 
     /**
@@ -302,157 +328,243 @@ contract PolicyGuard {
         allowed = currentExposureBps <= policy.maxProtocolExposure;
     }
 
+    // ============ View Functions ============
+
     /**
-     * @notice Whitelist a protocol with risk score
-     * @param protocol Protocol address
-     * @param riskScore Risk score (1-10)
+     * @notice Get user policy details
+     * @param user User address
+     * @return UserPolicy struct
      */
-    function whitelistProtocol(address protocol, uint256 riskScore) external onlyOwner {
-        if (protocol == address(0)) revert ZeroAddress();
-        if (riskScore < MIN_RISK_SCORE || riskScore > MAX_RISK_SCORE) {
-            revert InvalidRiskScore();
-        }
-
-        whitelistedProtocols[protocol] = true;
-        protocolRiskScores[protocol] = riskScore;
+    function getPolicy(address user) external view returns (UserPolicy memory) {
+        return userPolicies[user];
+    }
 
-        emit ProtocolWhitelisted(protocol, riskScore);
+    /**
+     * @notice Get the user's current policy version
+     * @dev Versions start at 1 with the first policy and increase whenever the policy changes,
+     *      including deactivation, and whenever an asset limit, protocol list entry or category
+     *      cap changes. TransferValidated carries the version in effect
+     * @param user User address
+     * @return Current version, 0 if the user never had a policy
+     */
+    function getPolicyVersion(address user) external view returns (uint256) {
+        return policyHistory[user].length;
     }
 
     /**
-     * @notice Remove protocol from whitelist
-     * @param protocol Protocol address
+     * @notice Get a historical version of a user's policy
+     * @param user User address
+     * @param version Policy version (1-based)
+     * @return PolicySnapshot with the policy, the time it took effect and, for versions created by
+     *         an asset limit, protocol list or category cap change, that change
      */
-    function removeProtocol(address protocol) external onlyOwner {
-        whitelistedProtocols[protocol] = false;
-        emit ProtocolRemoved(protocol);
+    function getPolicyAtVersion(address user, uint256 version) external view returns (PolicySnapshot memory) {
+        if (version == 0 || version > policyHistory[user].length) revert InvalidPolicyVersion();
+        return policyHistory[user][version - 1];
     }
 
     /**
-     * @notice Update protocol risk score
-     * @param protocol Protocol address
-     * @param newRiskScore New risk score (1-10)
+     * @notice Get the policy version that was in effect at a point in time
+     * @param user User address
+     * @param timestamp Time to look up
+     * @return version Latest version recorded at or before timestamp, 0 if none
      */
-    function updateProtocolRiskScore(address protocol, uint256 newRiskScore) external onlyOwner {
-        if (newRiskScore < MIN_RISK_SCORE || newRiskScore > MAX_RISK_SCORE) {
-            revert InvalidRiskScore();
+    function getPolicyVersionAt(address user, uint256 timestamp) external view returns (uint256 version) {
+        PolicySnapshot[] storage history = policyHistory[user];
+        uint256 high = history.length;
+
+        // Binary search for the number of snapshots recorded at or before timestamp
+        while (version < high) {
+            uint256 mid = (version + high) / 2;
+            if (history[mid].recordedAt <= timestamp) {
+                version = mid + 1;
+            } else {
+                high = mid;
+            }
         }
+    }
 
-        uint256 oldScore = protocolRiskScores[protocol];
-        protocolRiskScores[protocol] = newRiskScore;
-
-        emit ProtocolRiskUpdated(protocol, oldScore, newRiskScore);
+    /**
+     * @notice Get a policy preset, including any scheduled update
+     * @dev A scheduled update whose pendingEffectiveAt has passed is already in effect for
+     *      new adoptions; it moves into parameters on the next write
+     * @param presetId Preset identifier
+     * @return PolicyPreset struct
+     */
+    function getPreset(uint256 presetId) external view returns (PolicyPreset memory) {
+        return policyPresets[presetId];
     }
 
     /**
-     * @notice Authorize a contract to call decreaseExposure
-     * @dev Typically StrategyRouter and adapter contracts
-     * @param caller Address to authorize
+     * @notice Get the daily limit that applies to an asset
+     * @param user User address
+     * @param token Asset address (address(0) for native ETH)
+     * @return Dedicated asset limit, or the policy default if none is set
      */
-    function authorizeCaller(address caller) external onlyOwner {
-        if (caller == address(0)) revert ZeroAddress();
-        authorizedCallers[caller] = true;
-        emit CallerAuthorized(caller);
+    function getAssetLimit(address user, address token) external view returns (uint256) {
+        return _assetDailyLimit(userPolicies[user], assetSpending[user][token]);
     }
 
     /**
-     * @notice Revoke authorization from a contract
-     * @param caller Address to revoke
+     * @notice Get the amount-based velocity limits that apply to an asset
+     * @param user User address
+     * @param token Asset address (address(0) for native ETH)
+     * @return maxTransferAmount Largest single transfer (0 = no cap)
+     * @return cooldownThreshold Transfers above this amount start a cooldown (0 = none)
      */
-    function revokeCaller(address caller) external onlyOwner {
-        authorizedCallers[caller] = false;
-        emit CallerRevoked(caller);
+    function getAssetVelocityLimits(address user, address token)
+        external
+        view
+        returns (uint256 maxTransferAmount, uint256 cooldownThreshold)
+    {
+        AssetSpending storage spending = assetSpending[user][token];
+        return (spending.maxTransferAmount, spending.cooldownThreshold);
     }
 
     /**
-     * @notice Emergency pause for a specific user (deactivates policy)
+     * @notice Get all queued policy changes for a user
      * @param user User address
-     * @param reason Reason for pause
+     * @return changeIds Identifiers of the queued changes
+     * @return changes Queued change details (values as passed to the setter)
      */
-    function emergencyPause(address user, string calldata reason) external onlyOwner {
-        userPolicies[user].active = false;
-        emit EmergencyPause(user, reason);
+    function getPendingChanges(address user)
+        external
+        view
+        returns (bytes32[] memory changeIds, PendingChange[] memory changes)
+    {
+        changeIds = pendingChangeIds[user];
+        uint256 length = changeIds.length;
+        changes = new PendingChange[](length);
+
+        for (uint256 i; i < length;) {
+            changes[i] = pendingChanges[user][changeIds[i]];
+            unchecked {
+                ++i;
+            }
+        }
     }
 
     /**
-     * @notice Blacklist a user permanently (persists across policy recreation)
+     * @notice Get remaining daily limit for user in a given asset
+     * @dev Based on spend recorded in the rolling 24-hour window
      * @param user User address
-     * @param reason Reason for blacklisting
+     * @param token Asset address (address(0) for native ETH)
+     * @return Remaining daily limit in the asset's smallest unit
      */
-    function blacklistUser(address user, string calldata reason) external onlyOwner {
-        if (user == address(0)) revert ZeroAddress();
-        blacklistedUsers[user] = true;
-        userPolicies[user].active = false;
-        emit UserBlacklistedEvent(user, reason);
+    function getRemainingDailyLimit(address user, address token) external view returns (uint256) {
+        AssetSpending storage spending = assetSpending[user][token];
+        uint256 limit = _assetDailyLimit(userPolicies[user], spending);
+        uint256 spent = _windowTotal(spending.window);
+
+        // Check if already exceeded
+        if (spent >= limit) {
+            return 0;
+        }
+
+        return limit - spent;
     }
 
     /**
-     * @notice Remove user from blacklist
+     * @notice Get the amount spent in the rolling 24-hour window for an asset
      * @param user User address
+     * @param token Asset address (address(0) for native ETH)
+     * @return Amount spent in the asset's smallest unit
      */
-    function unblacklistUser(address user) external onlyOwner {
-        blacklistedUsers[user] = false;
-        emit UserUnblacklisted(user);
+    function getWindowSpent(address user, address token) external view returns (uint256) {
+        return _windowTotal(assetSpending[user][token].window);
     }
 
     /**
-     * @notice Pause all PolicyGuard operations
-     * @param reason Reason for pausing
+     * @notice Get the number of validated transfers in the rolling 24-hour window
+     * @param user User address
+     * @return Transfers counted across all assets
      */
-    function pause(string calldata reason) external onlyOwner {
-        paused = true;
-        emit PolicyGuardPaused(reason);
+    function getTransferCount(address user) external view returns (uint256) {
+        return _windowTotal(transferCounts[user]);
     }
 
     /**
-     * @notice Unpause PolicyGuard operations
+     * @notice Get how many more transfers the user can make in the rolling window
+     * @param user User address
+     * @return Remaining transfers (type(uint256).max if no count limit is set)
      */
-    function unpause() external onlyOwner {
-        paused = false;
-        emit PolicyGuardUnpaused();
+    function getRemainingTransfers(address user) external view returns (uint256) {
+        uint256 maxTransfers = userPolicies[user].maxDailyTransfers;
+        if (maxTransfers == 0) return type(uint256).max;
+
+        uint256 count = _windowTotal(transferCounts[user]);
+        return count >= maxTransfers ? 0 : maxTransfers - count;
     }
 
     /**
-     * @notice Transfer ownership
-     * @param newOwner New owner address
+     * @notice Get the USD value the user can still transfer in the rolling window
+     * @param user User address
+     * @return Remaining USD value (type(uint256).max if no USD limit is set)
      */
-    function transferOwnership(address newOwner) external onlyOwner {
-        if (newOwner == address(0)) revert ZeroAddress();
-        address oldOwner = owner;
-        owner = newOwner;
-        emit OwnershipTransferred(oldOwner, newOwner);
+    function getRemainingUsdDailyLimit(address user) external view returns (uint256) {
+        uint256 usdLimit = userPolicies[user].usdDailyLimit;
+        if (usdLimit == 0) return type(uint256).max;
+
+        uint256 spent = _windowTotal(usdSpending[user]);
+        return spent >= usdLimit ? 0 : usdLimit - spent;
     }
 
-    // ============ View Functions ============
+    /**
+     * @notice Convert an asset amount to USD using the asset's price feed
+     * @dev Answers that are non-positive, stale, from the future or that moved more than the
+     *      feed's maxDeviationBps since the previous round are treated as unavailable
+     * @param token Asset address (address(0) for native ETH)
+     * @param amount Amount in the asset's smallest unit
+     * @return available Whether a usable price was found
+     * @return usdValue Value with USD_DECIMALS decimals, 0 if unavailable
+     */
+    function getUsdValue(address token, uint256 amount) public view returns (bool available, uint256 usdValue) {
+        return _usdValue(token, amount);
+    }
 
     /**
-     * @notice Get user policy details
+     * @notice Get time left in the user's cooldown
      * @param user User address
-     * @return UserPolicy struct
+     * @return Seconds until transfers are allowed again, 0 if no cooldown is active
      */
-    function getPolicy(address user) external view returns (UserPolicy memory) {
-        return userPolicies[user];
+    function getCooldownRemaining(address user) external view returns (uint256) {
+        uint256 endsAt = cooldownEndsAt[user];
+        return block.timestamp < endsAt ? endsAt - block.timestamp : 0;
     }
 
     /**
-     * @notice Get remaining daily limit for user
+     * @notice Get when each hourly bucket in the rolling window releases its spend
+     * @dev Entries are ordered oldest first; buckets without spend are returned as zero
      * @param user User address
-     * @return Remaining daily limit in wei
+     * @param token Asset address (address(0) for native ETH)
+     * @return releaseTimes Timestamp at which each bucket leaves the window
+     * @return amounts Amount released from each bucket
      */
-    function getRemainingDailyLimit(address user) external view returns (uint256) {
-        UserPolicy storage policy = userPolicies[user];
-
-        // Check if reset is due (FIXED: removed -1)
-        if (block.timestamp >= policy.lastResetTimestamp + 1 days) {
-            return policy.dailyLimit;
-        }
-
-        // Check if already exceeded
-        if (policy.dailySpent >= policy.dailyLimit) {
-            return 0;
+    function getSpendingReleases(address user, address token)
+        external
+        view
+        returns (
+            uint256[SPEND_BUCKET_COUNT] memory releaseTimes,
+            uint256[SPEND_BUCKET_COUNT] memory amounts
+        )
+    {
+        RollingWindow storage window = assetSpending[user][token].window;
+        uint256 currentHour = block.timestamp / SPEND_BUCKET_DURATION;
+
+        for (uint256 i; i < SPEND_BUCKET_COUNT;) {
+            // Walk from the oldest live bucket up to the current one
+            uint256 hour = currentHour + 1 + i - SPEND_BUCKET_COUNT;
+            uint256 amount = _bucketAmount(window, hour);
+
+            if (amount > 0) {
+                releaseTimes[i] = (hour + SPEND_BUCKET_COUNT) * SPEND_BUCKET_DURATION;
+                amounts[i] = amount;
+            }
+
+            unchecked {
+                ++i;
+            }
         }
-
-        return policy.dailyLimit - policy.dailySpent;
     }
 
     /**
@@ -478,6 +590,76 @@ contract PolicyGuard {
         return whitelistedProtocols[protocol];
     }
 
+    /**
+     * @notice Check a protocol against a user's allowlist and denylist
+     * @dev Does not consider the global whitelist
+     * @param user User address
+     * @param protocol Protocol address
+     * @return Whether the user's lists permit the protocol
+     */
+    function isProtocolAllowedForUser(address user, address protocol) public view returns (bool) {
+        return _isProtocolAllowedForUser(user, protocol);
+    }
+
+    /**
+     * @notice Get a user's allowlisted protocols
+     * @param user User address
+     * @return Array of protocol addresses (empty = no allowlist restriction)
+     */
+    function getUserAllowlist(address user) external view returns (address[] memory) {
+        return userAllowlists[user].addresses;
+    }
+
+    /**
+     * @notice Get a user's denylisted protocols
+     * @param user User address
+     * @return Array of protocol addresses
+     */
+    function getUserDenylist(address user) external view returns (address[] memory) {
+        return userDenylists[user].addresses;
+    }
+
+    /**
+     * @notice Get all protocols assigned to a category
+     * @param category Category identifier
+     * @return Array of protocol addresses
+     */
+    function getCategoryProtocols(bytes32 category) external view returns (address[] memory) {
+        return categoryProtocols[category].addresses;
+    }
+
+    /**
+     * @notice Get a user's aggregate exposure to a category in one asset
+     * @param user User address
+     * @param category Category identifier
+     * @param token Asset the exposure is measured in (address(0) for native ETH)
+     * @return exposure Sum of protocolExposure across the category's protocols, excluding
+     *         adapters that hold a different asset
+     * @return exposureBps Exposure as a share of the router portfolio in token (0 if unavailable)
+     */
+    function getCategoryExposure(address user, bytes32 category, address token)
+        external
+        view
+        returns (uint256 exposure, uint256 exposureBps)
+    {
+        exposure = _categoryExposure(user, category, token);
+
+        if (address(strategyRouter) != address(0)) {
+            uint256 totalPortfolio = _portfolioBalance(user, token);
+            if (totalPortfolio != 0) exposureBps = (exposure * MAX_BPS) / totalPortfolio;
+        }
+    }
+
+    /**
+     * @notice Get platform-wide exposure to a protocol and the cap it is held to
+     * @param protocol Protocol address
+     * @return exposure Sum of protocolExposure across all users
+     * @return cap Effective cap, type(uint256).max if the protocol is uncapped
+     */
+    function getGlobalExposure(address protocol) external view returns (uint256 exposure, uint256 cap) {
+        return (totalProtocolExposure[protocol], _globalExposureCap(protocol));
+    }
+
     /**
      * @notice Get protocol risk score
      * @param protocol Protocol address
@@ -487,13 +669,89 @@ contract PolicyGuard {
         return protocolRiskScores[protocol];
     }
 
+    /**
+     * @notice Get the oracle risk score for a protocol if it is usable
+     * @dev Unusable when no oracle is set, the oracle reverts, or the score is stale or out of range
+     * @param protocol Protocol address
+     * @return available Whether the oracle score is usable
+     * @return score Oracle risk score (1-10), 0 if unavailable
+     */
+    function getOracleRiskScore(address protocol) public view returns (bool available, uint256 score) {
+        return _oracleRiskScore(protocol);
+    }
+
+    /**
+     * @notice Get the risk score enforced for a protocol
+     * @param protocol Protocol address
+     * @return Oracle risk score if available, otherwise the manually assigned score
+     */
+    function getEffectiveRiskScore(address protocol) public view returns (uint256) {
+        return _effectiveRiskScore(protocol);
+    }
+
     /**
      * @notice Check if user is blacklisted
      * @param user User address
      * @return Whether user is blacklisted
      */
     function isUserBlacklisted(address user) external view returns (bool) {
-        return blacklistedUsers[user];
+        return _isBlacklisted(user);
+    }
+
+    /**
+     * @notice Check an address against the configured sanctions list
+     * @param account Address to screen
+     * @return Whether the address is sanctioned, or the fail-closed setting if the list is unreachable
+     */
+    function isSanctioned(address account) external view returns (bool) {
+        return _isSanctioned(account);
+    }
+
+    /**
+     * @notice Get every address whose blacklist entry is currently in force
+     * @dev Expired entries are skipped but remain readable through blacklistEntries
+     * @return users Blacklisted addresses
+     */
+    function getBlacklistedUsers() external view returns (address[] memory users) {
+        address[] storage accounts = blacklistedAccounts.addresses;
+
+        uint256 count;
+        for (uint256 i; i < accounts.length;) {
+            if (_isBlacklisted(accounts[i])) ++count;
+            unchecked {
+                ++i;
+            }
+        }
+
+        users = new address[](count);
+        uint256 index;
+        for (uint256 i; index < count;) {
+            if (_isBlacklisted(accounts[i])) {
+                users[index] = accounts[i];
+                ++index;
+            }
+            unchecked {
+                ++i;
+            }
+        }
+    }
+
+    /**
+     * @notice Get every violation recorded for a user
+     * @param user User address
+     * @return Violations, oldest first
+     */
+    function getViolationHistory(address user) external view returns (Violation[] memory) {
+        return violationHistory[user];
+    }
+
+    /**
+     * @notice Get the number of violations counting towards the automatic thresholds
+     * @param user User address
+     * @return Violations within the current window
+     */
+    function getRecentViolationCount(address user) external view returns (uint256) {
+        return _recentViolations(user, type(uint256).max);
     }
 
     /**
@@ -511,76 +769,136 @@ contract PolicyGuard {
      * @return Whether user has an active policy
      */
     function hasPolicy(address user) external view returns (bool) {
-        return userPolicies[user].active && !blacklistedUsers[user];
+        return userPolicies[user].active && !_isBlacklisted(user);
     }
 
     /**
-     * @notice Get time until daily limit reset
+     * @notice Get time until the next hourly bucket is released for an asset
+     * @dev Spend recorded during hour H is released at the start of hour H + 24
      * @param user User address
-     * @return Seconds until reset, 0 if already due
+     * @param token Asset address (address(0) for native ETH)
+     * @return Seconds until the oldest spend in the window is released, 0 if nothing is pending
      */
-    function getTimeUntilReset(address user) external view returns (uint256) {
-        UserPolicy storage policy = userPolicies[user];
-        uint256 resetTime = policy.lastResetTimestamp + 1 days;
-        
-        if (block.timestamp >= resetTime) {
-            return 0;
+    function getTimeUntilReset(address user, address token) external view returns (uint256) {
+        RollingWindow storage window = assetSpending[user][token].window;
+        uint256 currentHour = block.timestamp / SPEND_BUCKET_DURATION;
+
+        for (uint256 i; i < SPEND_BUCKET_COUNT;) {
+            uint256 hour = currentHour + 1 + i - SPEND_BUCKET_COUNT;
+
+            if (_bucketAmount(window, hour) > 0) {
+                return (hour + SPEND_BUCKET_COUNT) * SPEND_BUCKET_DURATION - block.timestamp;
+            }
+
+            unchecked {
+                ++i;
+            }
         }
-        
-        return resetTime - block.timestamp;
+
+        return 0;
     }
 
     /**
      * @notice Simulate transfer validation without state changes
      * @param user User address
+     * @param token Asset address (address(0) for native ETH)
      * @param protocol Protocol address
      * @param amount Amount to transfer
      * @return canTransfer Whether transfer would be allowed
-     * @return reason Reason if transfer would fail (empty if canTransfer is true)
+     * @return code First failing constraint (NONE if canTransfer is true)
+     * @return reason Human-readable form of code (empty if canTransfer is true)
      */
     function canTransfer(
         address user,
+        address token,
         address protocol,
         uint256 amount
-    ) external view returns (bool canTransfer, string memory reason) {
-        // Check if paused
-        if (paused) {
-            return (false, "PolicyGuard is paused");
-        }
+    ) external view returns (bool canTransfer, ReasonCode code, string memory reason) {
+        code = _checkTransfer(user, token, protocol, amount, TransferKind.ROUTE, true).first();
+        return (code == ReasonCode.NONE, code, _reasonString(code));
+    }
 
-        // Check if user is blacklisted
-        if (blacklistedUsers[user]) {
-            return (false, "User is blacklisted");
-        }
+    /**
+     * @notice Evaluate every transfer constraint instead of stopping at the first failure
+     * @dev Policy limits are only evaluated for users with an active policy
+     * @param user User address
+     * @param token Asset address (address(0) for native ETH)
+     * @param protocol Protocol address
+     * @param amount Amount to transfer
+     * @return reasons Every failing constraint in ascending code order (empty if the transfer would be allowed)
+     */
+    function getTransferViolations(
+        address user,
+        address token,
+        address protocol,
+        uint256 amount
+    ) external view returns (ReasonCode[] memory reasons) {
+        return _checkTransfer(user, token, protocol, amount, TransferKind.ROUTE, false).toArray();
+    }
 
-        // Check if policy is active
-        if (!userPolicies[user].active) {
-            return (false, "No active policy");
-        }
+    // ============ Internal Functions ============
 
-        UserPolicy storage policy = userPolicies[user];
-        uint256 dailySpent = policy.dailySpent;
-
-        // Check if reset is due
-        if (block.timestamp >= policy.lastResetTimestamp + 1 days) {
-            dailySpent = 0;
-        }
+    function _delegateToConfig() private {
+        _delegate(POLICY_CONFIG);
+    }
 
-        // Check daily limit
-        if (dailySpent + amount > policy.dailyLimit) {
-            return (false, "Daily limit exceeded");
-        }
+    function _delegateToAdmin() private {
+        _delegate(POLICY_ADMIN);
+    }
 
-        // Check whitelist requirement
-        if (policy.requireWhitelist && !whitelistedProtocols[protocol]) {
-            return (false, "Protocol not whitelisted");
-        }
+    function _delegateToValidation() private {
+        _delegate(POLICY_VALIDATION);
+    }
 
-        // Check protocol risk score
-        if (protocolRiskScores[protocol] > policy.maxRiskScore) {
-            return (false, "Risk score too high");
+    /**
+     * @dev Run the current call in a module against this contract's storage,
+     *      returning its return data or bubbling up its revert
+     */
+    function _delegate(address module) private {
+        assembly ("memory-safe") {
+            let ptr := mload(0x40)
+            calldatacopy(ptr, 0, calldatasize())
+            let success := delegatecall(gas(), module, ptr, calldatasize(), 0, 0)
+            returndatacopy(ptr, 0, returndatasize())
+            if iszero(success) {
+                revert(ptr, returndatasize())
+            }
+            return(ptr, returndatasize())
         }
+    }
 
-        return (true, "");
+    /**
+     * @dev Human-readable form of a PolicyGuard reason code, as returned by canTransfer
+     */
+    function _reasonString(ReasonCode code) internal pure returns (string memory) {
+        if (code == ReasonCode.NONE) return "";
+        if (code == ReasonCode.GUARD_PAUSED) return "PolicyGuard is paused";
+        if (code == ReasonCode.USER_BLACKLISTED) return "User is blacklisted";
+        if (code == ReasonCode.NO_ACTIVE_POLICY) return "No active policy";
+        if (code == ReasonCode.MAX_TRANSFER_AMOUNT) return "Transfer amount exceeds maximum";
+        if (code == ReasonCode.COOLDOWN_ACTIVE) return "Cooldown active";
+        if (code == ReasonCode.TRANSFER_COUNT_LIMIT) return "Daily transfer count exceeded";
+        if (code == ReasonCode.DAILY_LIMIT) return "Daily limit exceeded";
+        if (code == ReasonCode.NOT_WHITELISTED) return "Protocol not whitelisted";
+        if (code == ReasonCode.USER_PROTOCOL_LIST) return "Protocol blocked by user list";
+        if (code == ReasonCode.RISK_TOO_HIGH) return "Risk score too high";
+        if (code == ReasonCode.EXPOSURE_LIMIT) return "Protocol exposure limit exceeded";
+        if (code == ReasonCode.CATEGORY_EXPOSURE_LIMIT) return "Category exposure limit exceeded";
+        if (code == ReasonCode.SANCTIONED_USER) return "User is sanctioned";
+        if (code == ReasonCode.SANCTIONED_RECIPIENT) return "Recipient is sanctioned";
+        if (code == ReasonCode.GLOBAL_EXPOSURE_LIMIT) return "Global protocol exposure cap reached";
+        if (code == ReasonCode.USD_DAILY_LIMIT) return "USD daily limit exceeded";
+        return "Price unavailable";
     }
-}
\ No newline at end of file
+
+    /**
+     * @dev Amount recorded for a given hour, or 0 if that bucket has expired or not been written
+     */
+    function _bucketAmount(RollingWindow storage window, uint256 hour) internal view returns (uint256) {
+        uint256 lastHour = window.lastUpdateHour;
+        // Live slots hold hours in (lastHour - 24, lastHour]
+        if (hour > lastHour || hour + SPEND_BUCKET_COUNT <= lastHour) return 0;
+        if (hour + SPEND_BUCKET_COUNT <= block.timestamp / SPEND_BUCKET_DURATION) return 0;
+        return window.hourly[hour % SPEND_BUCKET_COUNT];
+    }
+}
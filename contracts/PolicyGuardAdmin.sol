@@ -0,0 +1,349 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.19;
+
+import "./PolicyGuardStorage.sol";
+import "./interfaces/IAdapter.sol";
+
+/**
+ * @title PolicyGuardAdmin
+ * @author NeoMesh Team
+ * @notice Protocol configuration, account administration and exposure maintenance for PolicyGuard
+ * @dev Deployed separately and only meaningful when called through PolicyGuard: PolicyGuard
+ *      delegatecalls here, so msg.sender is the original caller and all writes land in PolicyGuard's storage
+ * @custom:security-contact security@neomesh.io
+ */
+contract PolicyGuardAdmin is PolicyGuardStorage {
+    // ============ Protocol Configuration ============
+
+    /**
+     * @notice Set the risk oracle consulted before manually assigned protocol risk scores
+     * @dev Set oracle to address(0) to use protocolRiskScores only
+     * @param oracle Risk oracle address
+     * @param maxAge Maximum age in seconds of an oracle score before it is ignored
+     */
+    function setRiskOracle(address oracle, uint256 maxAge) external onlyRole(RISK_MANAGER_ROLE) {
+        if (oracle != address(0) && maxAge == 0) revert InvalidOracleMaxAge();
+
+        riskOracle = IRiskOracle(oracle);
+        riskOracleMaxAge = maxAge;
+
+        emit RiskOracleUpdated(oracle, maxAge);
+    }
+
+    /**
+     * @notice Set the sanctions list screened on policy creation and on every transfer
+     * @dev Set list to address(0) to disable screening. The list is expected to expose a
+     *      Chainalysis-style isSanctioned(address)
+     * @param list Sanctions list address
+     * @param failClosed Block users and recipients while the list reverts, instead of allowing them
+     */
+    function setSanctionsList(address list, bool failClosed) external onlyRole(ADMIN_ROLE) {
+        sanctionsList = ISanctionsList(list);
+        sanctionsFailClosed = failClosed;
+
+        emit SanctionsListUpdated(list, failClosed);
+    }
+
+    /**
+     * @notice Whitelist a protocol with risk score
+     * @param protocol Protocol address
+     * @param riskScore Risk score (1-10)
+     */
+    function whitelistProtocol(address protocol, uint256 riskScore) external onlyRole(RISK_MANAGER_ROLE) {
+        if (protocol == address(0)) revert ZeroAddress();
+        if (riskScore < MIN_RISK_SCORE || riskScore > MAX_RISK_SCORE) {
+            revert InvalidRiskScore();
+        }
+
+        whitelistedProtocols[protocol] = true;
+        protocolRiskScores[protocol] = riskScore;
+
+        emit ProtocolWhitelisted(protocol, riskScore);
+    }
+
+    /**
+     * @notice Remove protocol from whitelist
+     * @param protocol Protocol address
+     */
+    function removeProtocol(address protocol) external onlyRole(RISK_MANAGER_ROLE) {
+        whitelistedProtocols[protocol] = false;
+        emit ProtocolRemoved(protocol);
+    }
+
+    /**
+     * @notice Update protocol risk score
+     * @param protocol Protocol address
+     * @param newRiskScore New risk score (1-10)
+     */
+    function updateProtocolRiskScore(address protocol, uint256 newRiskScore) external onlyRole(RISK_MANAGER_ROLE) {
+        if (newRiskScore < MIN_RISK_SCORE || newRiskScore > MAX_RISK_SCORE) {
+            revert InvalidRiskScore();
+        }
+
+        uint256 oldScore = protocolRiskScores[protocol];
+        protocolRiskScores[protocol] = newRiskScore;
+
+        emit ProtocolRiskUpdated(protocol, oldScore, newRiskScore);
+    }
+
+    /**
+     * @notice Assign a protocol to a category for aggregate exposure caps
+     * @param protocol Protocol address
+     * @param category Category identifier (0 to remove the protocol from its category)
+     */
+    function setProtocolCategory(address protocol, bytes32 category) external onlyRole(RISK_MANAGER_ROLE) {
+        if (protocol == address(0)) revert ZeroAddress();
+
+        bytes32 oldCategory = protocolCategories[protocol];
+        if (oldCategory == category) return;
+
+        if (oldCategory != bytes32(0)) _removeFromList(categoryProtocols[oldCategory], protocol);
+        if (category != bytes32(0)) _addToList(categoryProtocols[category], protocol);
+        protocolCategories[protocol] = category;
+
+        emit ProtocolCategorySet(protocol, category);
+    }
+
+    /**
+     * @notice Configure automatic enforcement after repeated blocked transfers
+     * @dev Violations are counted per user over the trailing window. Reaching pauseThreshold
+     *      deactivates the user's policy, reaching blacklistThreshold blacklists the user.
+     *      A threshold of 0 disables that step
+     * @param window Seconds a violation keeps counting (max 30 days)
+     * @param pauseThreshold Violations that trigger an automatic emergency pause
+     * @param blacklistThreshold Violations that trigger an automatic blacklist
+     */
+    function setViolationThresholds(
+        uint256 window,
+        uint256 pauseThreshold,
+        uint256 blacklistThreshold
+    ) external onlyOwner {
+        bool enabled = pauseThreshold != 0 || blacklistThreshold != 0;
+        if (enabled && (window == 0 || window > MAX_VIOLATION_WINDOW)) revert InvalidViolationThresholds();
+        if (pauseThreshold != 0 && blacklistThreshold != 0 && blacklistThreshold <= pauseThreshold) {
+            revert InvalidViolationThresholds();
+        }
+
+        violationWindow = window;
+        autoPauseThreshold = pauseThreshold;
+        autoBlacklistThreshold = blacklistThreshold;
+
+        emit ViolationThresholdsUpdated(window, pauseThreshold, blacklistThreshold);
+    }
+
+    /**
+     * @notice Cap exposure to a protocol across all users
+     * @dev Both caps apply when set; the lower one wins. A TVL-based cap blocks every transfer
+     *      while the protocol's getTVL() cannot be read
+     * @param protocol Protocol or adapter address
+     * @param maxAmount Absolute cap in the protocol asset's smallest unit (0 = none)
+     * @param maxTvlBps Cap as a share of the protocol's TVL in basis points (0 = none)
+     */
+    function setProtocolExposureCap(
+        address protocol,
+        uint256 maxAmount,
+        uint256 maxTvlBps
+    ) external onlyRole(ADMIN_ROLE) {
+        if (protocol == address(0)) revert ZeroAddress();
+        if (maxTvlBps > MAX_BPS) revert InvalidExposureLimit();
+
+        protocolExposureCaps[protocol] = ProtocolCap(maxAmount, maxTvlBps);
+        emit ProtocolExposureCapSet(protocol, maxAmount, maxTvlBps);
+    }
+
+    /**
+     * @notice Set the USD price feed for an asset
+     * @dev Set feed to address(0) to remove it
+     * @param token Asset address (address(0) for native ETH)
+     * @param feed Chainlink-compatible aggregator quoting the asset in USD
+     * @param tokenDecimals Decimals of the asset's amounts
+     * @param maxAge Seconds after which an answer is stale
+     * @param maxDeviationBps Largest accepted move from the previous round (0 = unchecked)
+     */
+    function setPriceFeed(
+        address token,
+        address feed,
+        uint8 tokenDecimals,
+        uint256 maxAge,
+        uint256 maxDeviationBps
+    ) external onlyRole(RISK_MANAGER_ROLE) {
+        if (feed == address(0)) {
+            delete priceFeeds[token];
+        } else {
+            if (maxAge == 0 || maxDeviationBps > MAX_BPS) revert InvalidPriceFeed();
+            priceFeeds[token] = PriceFeedConfig(
+                IPriceFeed(feed),
+                IPriceFeed(feed).decimals(),
+                tokenDecimals,
+                maxAge,
+                maxDeviationBps
+            );
+        }
+
+        emit PriceFeedSet(token, feed, maxAge, maxDeviationBps);
+    }
+
+    // ============ Administration ============
+
+    /**
+     * @notice Set the StrategyRouter used to derive portfolio totals for exposure limits
+     * @dev Set to address(0) to disable exposure enforcement in validateTransfer
+     * @param router StrategyRouter address
+     */
+    function setStrategyRouter(address router) external onlyRole(ADMIN_ROLE) {
+        address oldRouter = address(strategyRouter);
+        strategyRouter = IStrategyRouter(router);
+        emit StrategyRouterUpdated(oldRouter, router);
+    }
+
+    /**
+     * @notice Authorize a contract to validate transfers and call decreaseExposure
+     * @dev Typically StrategyRouter and adapter contracts
+     * @param caller Address to authorize
+     */
+    function authorizeCaller(address caller) external onlyRole(ADMIN_ROLE) {
+        if (caller == address(0)) revert ZeroAddress();
+        authorizedCallers[caller] = true;
+        emit CallerAuthorized(caller);
+    }
+
+    /**
+     * @notice Revoke authorization from a contract
+     * @param caller Address to revoke
+     */
+    function revokeCaller(address caller) external onlyRole(ADMIN_ROLE) {
+        authorizedCallers[caller] = false;
+        emit CallerRevoked(caller);
+    }
+
+    /**
+     * @notice Emergency pause for a specific user (deactivates policy)
+     * @dev Soft pause: the user can reactivate by creating a new policy
+     * @param user User address
+     * @param reason Reason for pause
+     */
+    function emergencyPause(address user, string calldata reason) external onlyRole(GUARDIAN_ROLE) {
+        userPolicies[user].active = false;
+        _recordPolicyVersion(user);
+        emit EmergencyPause(user, reason);
+    }
+
+    /**
+     * @notice Let a user paused after repeated violations create a new policy again
+     * @dev The old policy stays inactive and recent violations keep counting towards the
+     *      blacklist threshold
+     * @param user User address
+     */
+    function liftUserPause(address user) external onlyRole(ADMIN_ROLE) {
+        userPaused[user] = false;
+        emit UserPauseLifted(user);
+    }
+
+    /**
+     * @notice Blacklist a user permanently (persists across policy recreation)
+     * @param user User address
+     * @param reason Reason for blacklisting
+     */
+    function blacklistUser(address user, string calldata reason) external onlyRole(COMPLIANCE_ROLE) {
+        _blacklist(user, BlacklistReason.MANUAL, msg.sender, 0);
+        emit UserBlacklistedEvent(user, BlacklistReason.MANUAL, msg.sender, 0, reason);
+    }
+
+    /**
+     * @notice Blacklist a user with a reason code and an optional expiry
+     * @dev The block lapses on its own at expiresAt; the user then has to create a new policy.
+     *      Replaces any existing entry for the user
+     * @param user User address
+     * @param code Reason code recorded with the entry
+     * @param expiresAt Timestamp the block lapses at, 0 = until unblacklisted
+     * @param reason Free-form details, emitted only
+     */
+    function addBlacklistEntry(
+        address user,
+        BlacklistReason code,
+        uint256 expiresAt,
+        string calldata reason
+    ) external onlyRole(COMPLIANCE_ROLE) {
+        if (code == BlacklistReason.NONE) revert InvalidBlacklistEntry();
+        if (expiresAt != 0 && (expiresAt <= block.timestamp || expiresAt > type(uint64).max)) {
+            revert InvalidBlacklistEntry();
+        }
+
+        _blacklist(user, code, msg.sender, expiresAt);
+        emit UserBlacklistedEvent(user, code, msg.sender, expiresAt, reason);
+    }
+
+    /**
+     * @notice Remove user from blacklist
+     * @param user User address
+     */
+    function unblacklistUser(address user) external onlyRole(COMPLIANCE_ROLE) {
+        delete blacklistEntries[user];
+        _removeFromList(blacklistedAccounts, user);
+        // Start counting afresh so the next violation does not blacklist the user again
+        violationCountStart[user] = violationHistory[user].length;
+        emit UserUnblacklisted(user);
+    }
+
+    /**
+     * @notice Pause all PolicyGuard operations
+     * @param reason Reason for pausing
+     */
+    function pause(string calldata reason) external onlyRole(GUARDIAN_ROLE) {
+        paused = true;
+        emit PolicyGuardPaused(reason);
+    }
+
+    /**
+     * @notice Unpause PolicyGuard operations
+     */
+    function unpause() external onlyRole(ADMIN_ROLE) {
+        paused = false;
+        emit PolicyGuardUnpaused();
+    }
+
+    // ============ Exposure Maintenance ============
+
+    /**
+     * @notice Recompute a user's exposure from their live balances in the router's adapters
+     * @dev Corrects drift left by missed decreaseExposure calls or yield. Callable by the user,
+     *      a keeper or an authorized caller. Exposure to protocols that are not registered
+     *      adapters is left untouched
+     * @param user User address
+     */
+    function reconcileExposure(address user) external {
+        if (msg.sender != user && !authorizedCallers[msg.sender] && !_checkRole(KEEPER_ROLE, msg.sender)) {
+            revert NotAuthorized();
+        }
+        if (address(strategyRouter) == address(0)) revert StrategyRouterNotSet();
+
+        address[] memory adapters = strategyRouter.getAdapters();
+        for (uint256 i; i < adapters.length;) {
+            address adapter = adapters[i];
+            uint256 oldExposure = protocolExposure[user][adapter];
+            uint256 newExposure = IAdapter(adapter).getUserBalance(user);
+
+            if (newExposure != oldExposure) {
+                protocolExposure[user][adapter] = newExposure;
+                totalProtocolExposure[adapter] = totalProtocolExposure[adapter] + newExposure - oldExposure;
+                emit ExposureReconciled(user, adapter, oldExposure, newExposure);
+            }
+
+            unchecked {
+                ++i;
+            }
+        }
+    }
+
+    /**
+     * @notice Reset protocol exposure for a user
+     * @dev Emergency function - use with caution
+     * @param user User address
+     * @param protocol Protocol address
+     */
+    function resetExposure(address user, address protocol) external onlyRole(RISK_MANAGER_ROLE) {
+        totalProtocolExposure[protocol] -= protocolExposure[user][protocol];
+        protocolExposure[user][protocol] = 0;
+        emit ExposureReset(user, protocol);
+    }
+}
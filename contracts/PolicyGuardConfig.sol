@@ -0,0 +1,818 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.19;
+
+import "./PolicyGuardStorage.sol";
+
+/**
+ * @title PolicyGuardConfig
+ * @author NeoMesh Team
+ * @notice User policy configuration, signed policy actions, the loosening timelock and policy presets for PolicyGuard
+ * @dev Deployed separately and only meaningful when called through PolicyGuard: PolicyGuard
+ *      delegatecalls here, so msg.sender is the original caller and all writes land in PolicyGuard's storage
+ * @custom:security-contact security@neomesh.io
+ */
+contract PolicyGuardConfig is PolicyGuardStorage {
+    // ============ External Functions ============
+
+    /**
+     * @notice Create a new user policy
+     * @param dailyLimit Default daily transfer limit, applied per asset unless overridden by setAssetLimit
+     * @param maxProtocolExposure Maximum exposure to single protocol (basis points, e.g., 2000 = 20%)
+     * @param maxRiskScore Maximum acceptable risk score (1-10)
+     * @param requireWhitelist Whether to require protocol whitelist
+     */
+    function createPolicy(
+        uint256 dailyLimit,
+        uint256 maxProtocolExposure,
+        uint256 maxRiskScore,
+        bool requireWhitelist
+    ) external notBlacklisted whenNotPaused {
+        _createPolicy(
+            msg.sender,
+            PresetParameters({
+                dailyLimit: dailyLimit,
+                maxProtocolExposure: maxProtocolExposure,
+                maxRiskScore: maxRiskScore,
+                requireWhitelist: requireWhitelist
+            })
+        );
+    }
+
+    /**
+     * @notice Create a new user policy from a preset
+     * @dev Uses the preset's current parameters. A linked policy picks up later preset updates
+     *      through syncPresetPolicies once their notice period has passed
+     * @param presetId Preset to adopt
+     * @param linked Whether to follow future updates of the preset
+     */
+    function createPolicyFromPreset(uint256 presetId, bool linked) external notBlacklisted whenNotPaused {
+        PolicyPreset storage preset = _currentPreset(presetId);
+        if (!preset.active) revert InvalidPreset();
+
+        _createPolicy(msg.sender, preset.parameters);
+        if (linked) {
+            presetLinks[msg.sender] = PresetLink({presetId: uint128(presetId), version: preset.version});
+        }
+
+        emit PresetAdopted(msg.sender, presetId, linked);
+    }
+
+    /**
+     * @notice Stop following the caller's preset; the policy keeps its current parameters
+     */
+    function unlinkPreset() external {
+        uint256 presetId = presetLinks[msg.sender].presetId;
+        if (presetId == 0) revert InvalidPreset();
+
+        delete presetLinks[msg.sender];
+        emit PresetUnlinked(msg.sender, presetId);
+    }
+
+    /**
+     * @notice Apply the latest effective preset parameters to linked policies
+     * @dev Permissionless so keepers can propagate updates. Each parameter goes through the
+     *      user's own timelock: tightening applies immediately, loosening is queued for
+     *      policyChangeDelay. Users that are not linked, inactive or up to date are skipped
+     * @param users Users to synchronize
+     */
+    function syncPresetPolicies(address[] calldata users) external whenNotPaused {
+        for (uint256 i; i < users.length;) {
+            _syncPresetPolicy(users[i]);
+            unchecked {
+                ++i;
+            }
+        }
+    }
+
+    /**
+     * @notice Update an existing user policy
+     * @dev Tightening changes apply immediately; loosening changes (higher limits, higher
+     *      maxRiskScore, disabling the whitelist) are queued for policyChangeDelay
+     * @param dailyLimit New default daily transfer limit per asset
+     * @param maxProtocolExposure New maximum exposure to single protocol (basis points)
+     * @param maxRiskScore New maximum acceptable risk score
+     * @param requireWhitelist New whitelist requirement
+     */
+    function updatePolicy(
+        uint256 dailyLimit,
+        uint256 maxProtocolExposure,
+        uint256 maxRiskScore,
+        bool requireWhitelist
+    ) external hasActivePolicy(msg.sender) whenNotPaused {
+        _updatePolicy(
+            msg.sender,
+            PresetParameters({
+                dailyLimit: dailyLimit,
+                maxProtocolExposure: maxProtocolExposure,
+                maxRiskScore: maxRiskScore,
+                requireWhitelist: requireWhitelist
+            })
+        );
+    }
+
+    /**
+     * @notice Set a dedicated daily limit for a single asset
+     * @dev Spending is always tracked per asset; assets without a dedicated limit use the policy's dailyLimit.
+     *      Raising the effective limit is queued for policyChangeDelay
+     * @param token Asset address (address(0) for native ETH)
+     * @param dailyLimit Daily limit in the asset's smallest unit (0 to fall back to the policy default)
+     */
+    function setAssetLimit(address token, uint256 dailyLimit) 
+        external 
+        hasActivePolicy(msg.sender) 
+        whenNotPaused 
+    {
+        UserPolicy storage policy = userPolicies[msg.sender];
+        AssetSpending storage spending = assetSpending[msg.sender][token];
+        if (dailyLimit == spending.dailyLimit) return;
+
+        uint256 newEffectiveLimit = dailyLimit != 0 ? dailyLimit : policy.dailyLimit;
+        _setParameter(
+            msg.sender,
+            PARAM_ASSET_LIMIT,
+            _addressKey(token),
+            dailyLimit,
+            newEffectiveLimit > _assetDailyLimit(policy, spending)
+        );
+    }
+
+    /**
+     * @notice Set the delay applied to loosening policy changes
+     * @dev Increasing the delay applies immediately; decreasing it is queued for the current delay
+     * @param delay New delay in seconds (0 disables the timelock, max 30 days)
+     */
+    function setPolicyChangeDelay(uint256 delay) external hasActivePolicy(msg.sender) whenNotPaused {
+        if (delay > MAX_POLICY_CHANGE_DELAY) revert InvalidDelay();
+
+        uint256 currentDelay = policyChangeDelay[msg.sender];
+        if (delay == currentDelay) return;
+
+        _setParameter(msg.sender, PARAM_CHANGE_DELAY, bytes32(0), delay, delay < currentDelay);
+    }
+
+    /**
+     * @notice Add or remove protocols from the caller's allowlist
+     * @dev A non-empty allowlist restricts transfers to the listed protocols. Widening the
+     *      allowlist (adding to a non-empty list or removing its last entry) is queued for
+     *      policyChangeDelay
+     * @param protocols Protocol addresses
+     * @param allowed True to add, false to remove
+     */
+    function updateAllowlist(address[] calldata protocols, bool allowed)
+        external
+        hasActivePolicy(msg.sender)
+        whenNotPaused
+    {
+        _updateProtocolList(PARAM_ALLOWLIST, userAllowlists[msg.sender], protocols, allowed);
+    }
+
+    /**
+     * @notice Add or remove protocols from the caller's denylist
+     * @dev Denied protocols are always blocked. Removals are queued for policyChangeDelay
+     * @param protocols Protocol addresses
+     * @param denied True to add, false to remove
+     */
+    function updateDenylist(address[] calldata protocols, bool denied)
+        external
+        hasActivePolicy(msg.sender)
+        whenNotPaused
+    {
+        _updateProtocolList(PARAM_DENYLIST, userDenylists[msg.sender], protocols, denied);
+    }
+
+    /**
+     * @notice Cap aggregate exposure to all protocols in a category
+     * @dev Raising or removing a cap is queued for policyChangeDelay
+     * @param category Category identifier (e.g. "DEX_LP")
+     * @param maxExposureBps Maximum share of the portfolio in basis points (0 removes the cap)
+     */
+    function setCategoryExposureCap(bytes32 category, uint256 maxExposureBps)
+        external
+        hasActivePolicy(msg.sender)
+        whenNotPaused
+    {
+        if (category == bytes32(0)) revert InvalidCategory();
+        if (maxExposureBps > MAX_BPS) revert InvalidExposureLimit();
+
+        uint256 currentCap = categoryExposureCaps[msg.sender][category];
+        if (maxExposureBps == currentCap) return;
+
+        _setParameter(
+            msg.sender,
+            PARAM_CATEGORY_CAP,
+            category,
+            maxExposureBps,
+            _loosensCap(currentCap, maxExposureBps)
+        );
+    }
+
+    /**
+     * @notice Set velocity controls on top of the daily amount limit
+     * @dev Each control is optional (0 = disabled). Raising or disabling the cap or shortening
+     *      the cooldown is queued for policyChangeDelay. Amount-based controls are set per asset
+     *      with setAssetVelocityLimits
+     * @param maxDailyTransfers Maximum validated transfers in the rolling 24-hour window
+     * @param cooldownPeriod Cooldown length in seconds (max 7 days)
+     */
+    function setVelocityLimits(
+        uint256 maxDailyTransfers,
+        uint256 cooldownPeriod
+    ) external hasActivePolicy(msg.sender) whenNotPaused {
+        if (cooldownPeriod > MAX_COOLDOWN_PERIOD) revert InvalidCooldown();
+
+        UserPolicy storage policy = userPolicies[msg.sender];
+
+        if (maxDailyTransfers != policy.maxDailyTransfers) {
+            _setParameter(
+                msg.sender,
+                PARAM_MAX_DAILY_TRANSFERS,
+                bytes32(0),
+                maxDailyTransfers,
+                _loosensCap(policy.maxDailyTransfers, maxDailyTransfers)
+            );
+        }
+        if (cooldownPeriod != policy.cooldownPeriod) {
+            _setParameter(
+                msg.sender,
+                PARAM_COOLDOWN_PERIOD,
+                bytes32(0),
+                cooldownPeriod,
+                cooldownPeriod < policy.cooldownPeriod
+            );
+        }
+
+        _recordPolicyVersion(msg.sender);
+    }
+
+    /**
+     * @notice Set the amount-based velocity controls for a single asset
+     * @dev Each control is optional (0 = disabled). Raising or disabling the per-transfer cap
+     *      or raising the cooldown threshold is queued for policyChangeDelay. The cooldown
+     *      length comes from setVelocityLimits
+     * @param token Asset address (address(0) for native ETH)
+     * @param maxTransferAmount Largest single transfer in the asset's smallest unit
+     * @param cooldownThreshold Transfers above this amount start a cooldown
+     */
+    function setAssetVelocityLimits(
+        address token,
+        uint256 maxTransferAmount,
+        uint256 cooldownThreshold
+    ) external hasActivePolicy(msg.sender) whenNotPaused {
+        AssetSpending storage spending = assetSpending[msg.sender][token];
+
+        if (maxTransferAmount != spending.maxTransferAmount) {
+            _setParameter(
+                msg.sender,
+                PARAM_MAX_TRANSFER_AMOUNT,
+                _addressKey(token),
+                maxTransferAmount,
+                _loosensCap(spending.maxTransferAmount, maxTransferAmount)
+            );
+        }
+        if (cooldownThreshold != spending.cooldownThreshold) {
+            _setParameter(
+                msg.sender,
+                PARAM_COOLDOWN_THRESHOLD,
+                _addressKey(token),
+                cooldownThreshold,
+                _loosensCap(spending.cooldownThreshold, cooldownThreshold)
+            );
+        }
+    }
+
+    /**
+     * @notice Limit the USD value transferred across all assets per rolling 24 hours
+     * @dev Applies on top of the per-asset limits. Transfers of assets without a usable price
+     *      feed are blocked while the limit is set. Raising or removing the limit is timelocked
+     * @param usdDailyLimit Limit in USD with USD_DECIMALS decimals (0 = disabled)
+     */
+    function setUsdDailyLimit(uint256 usdDailyLimit) external hasActivePolicy(msg.sender) whenNotPaused {
+        uint256 currentLimit = userPolicies[msg.sender].usdDailyLimit;
+        if (usdDailyLimit == currentLimit) return;
+
+        _setParameter(
+            msg.sender,
+            PARAM_USD_DAILY_LIMIT,
+            bytes32(0),
+            usdDailyLimit,
+            _loosensCap(currentLimit, usdDailyLimit)
+        );
+        _recordPolicyVersion(msg.sender);
+    }
+
+    /**
+     * @notice Apply a queued policy change once its delay has passed
+     * @param changeId Identifier returned by getChangeId
+     */
+    function executePolicyChange(bytes32 changeId) external hasActivePolicy(msg.sender) whenNotPaused {
+        PendingChange memory change = pendingChanges[msg.sender][changeId];
+        if (change.executableAt == 0) revert NoPendingChange();
+        if (block.timestamp < change.executableAt) revert ChangeNotReady();
+
+        _removePendingChange(msg.sender, changeId);
+        _applyParameter(msg.sender, change.parameter, change.key, change.value);
+        _recordPolicyVersion(msg.sender);
+
+        emit PolicyChangeExecuted(msg.sender, changeId, change.parameter, change.key, change.value);
+    }
+
+    /**
+     * @notice Cancel a queued policy change
+     * @param changeId Identifier returned by getChangeId
+     */
+    function cancelPolicyChange(bytes32 changeId) external {
+        if (pendingChanges[msg.sender][changeId].executableAt == 0) revert NoPendingChange();
+
+        _removePendingChange(msg.sender, changeId);
+        emit PolicyChangeCancelled(msg.sender, changeId);
+    }
+
+    // ============ Signed Actions ============
+
+    /**
+     * @notice Create a policy for a user who signed it off-chain, so a relayer can pay the gas
+     * @dev The user signs a CreatePolicy EIP-712 message with their current nonce. Contract
+     *      accounts such as Safes are verified through ERC-1271
+     * @param user Policy owner and signer
+     * @param dailyLimit Default daily transfer limit, applied per asset unless overridden by setAssetLimit
+     * @param maxProtocolExposure Maximum exposure to single protocol (basis points)
+     * @param maxRiskScore Maximum acceptable risk score (1-10)
+     * @param requireWhitelist Whether to require protocol whitelist
+     * @param deadline Timestamp after which the signature is no longer accepted
+     * @param signature ECDSA signature, or ERC-1271 signature data for contract accounts
+     */
+    function createPolicyWithSig(
+        address user,
+        uint256 dailyLimit,
+        uint256 maxProtocolExposure,
+        uint256 maxRiskScore,
+        bool requireWhitelist,
+        uint256 deadline,
+        bytes calldata signature
+    ) external whenNotPaused {
+        if (_isBlacklisted(user)) revert UserBlacklisted();
+
+        bytes32 structHash = keccak256(
+            abi.encode(
+                CREATE_POLICY_TYPEHASH,
+                user,
+                dailyLimit,
+                maxProtocolExposure,
+                maxRiskScore,
+                requireWhitelist,
+                _useNonce(user),
+                deadline
+            )
+        );
+        _verifySignature(user, structHash, deadline, signature);
+
+        _createPolicy(
+            user,
+            PresetParameters({
+                dailyLimit: dailyLimit,
+                maxProtocolExposure: maxProtocolExposure,
+                maxRiskScore: maxRiskScore,
+                requireWhitelist: requireWhitelist
+            })
+        );
+    }
+
+    /**
+     * @notice Update a policy for a user who signed the update off-chain
+     * @dev Same timelock rules as updatePolicy: loosening changes are queued for the user's
+     *      policyChangeDelay. Signed as an UpdatePolicy EIP-712 message
+     * @param user Policy owner and signer
+     * @param dailyLimit New default daily transfer limit per asset
+     * @param maxProtocolExposure New maximum exposure to single protocol (basis points)
+     * @param maxRiskScore New maximum acceptable risk score
+     * @param requireWhitelist New whitelist requirement
+     * @param deadline Timestamp after which the signature is no longer accepted
+     * @param signature ECDSA signature, or ERC-1271 signature data for contract accounts
+     */
+    function updatePolicyWithSig(
+        address user,
+        uint256 dailyLimit,
+        uint256 maxProtocolExposure,
+        uint256 maxRiskScore,
+        bool requireWhitelist,
+        uint256 deadline,
+        bytes calldata signature
+    ) external hasActivePolicy(user) whenNotPaused {
+        bytes32 structHash = keccak256(
+            abi.encode(
+                UPDATE_POLICY_TYPEHASH,
+                user,
+                dailyLimit,
+                maxProtocolExposure,
+                maxRiskScore,
+                requireWhitelist,
+                _useNonce(user),
+                deadline
+            )
+        );
+        _verifySignature(user, structHash, deadline, signature);
+
+        _updatePolicy(
+            user,
+            PresetParameters({
+                dailyLimit: dailyLimit,
+                maxProtocolExposure: maxProtocolExposure,
+                maxRiskScore: maxRiskScore,
+                requireWhitelist: requireWhitelist
+            })
+        );
+    }
+
+    // ============ Policy Presets ============
+
+    /**
+     * @notice Register a named policy preset
+     * @param name Display name (e.g. "CONSERVATIVE")
+     * @param dailyLimit Default daily transfer limit per asset
+     * @param maxProtocolExposure Maximum exposure to single protocol (basis points)
+     * @param maxRiskScore Maximum acceptable risk score (1-10)
+     * @param requireWhitelist Whether to require protocol whitelist
+     * @return presetId Identifier of the new preset
+     */
+    function createPreset(
+        bytes32 name,
+        uint256 dailyLimit,
+        uint256 maxProtocolExposure,
+        uint256 maxRiskScore,
+        bool requireWhitelist
+    ) external onlyOwner returns (uint256 presetId) {
+        PresetParameters memory parameters = PresetParameters({
+            dailyLimit: dailyLimit,
+            maxProtocolExposure: maxProtocolExposure,
+            maxRiskScore: maxRiskScore,
+            requireWhitelist: requireWhitelist
+        });
+        _validatePolicyParameters(parameters);
+
+        presetId = ++presetCount;
+        PolicyPreset storage preset = policyPresets[presetId];
+        preset.name = name;
+        preset.active = true;
+        preset.version = 1;
+        preset.parameters = parameters;
+
+        emit PresetCreated(presetId, name);
+    }
+
+    /**
+     * @notice Schedule new parameters for a preset
+     * @dev Takes effect after PRESET_NOTICE_PERIOD, giving linked users time to unlink.
+     *      Scheduling again replaces a pending update and restarts the notice period
+     * @param presetId Preset to update
+     * @param dailyLimit New default daily transfer limit per asset
+     * @param maxProtocolExposure New maximum exposure to single protocol (basis points)
+     * @param maxRiskScore New maximum acceptable risk score
+     * @param requireWhitelist New whitelist requirement
+     */
+    function updatePreset(
+        uint256 presetId,
+        uint256 dailyLimit,
+        uint256 maxProtocolExposure,
+        uint256 maxRiskScore,
+        bool requireWhitelist
+    ) external onlyOwner {
+        PresetParameters memory parameters = PresetParameters({
+            dailyLimit: dailyLimit,
+            maxProtocolExposure: maxProtocolExposure,
+            maxRiskScore: maxRiskScore,
+            requireWhitelist: requireWhitelist
+        });
+        _validatePolicyParameters(parameters);
+
+        PolicyPreset storage preset = _currentPreset(presetId);
+        uint256 effectiveAt = block.timestamp + PRESET_NOTICE_PERIOD;
+        preset.pendingParameters = parameters;
+        preset.pendingEffectiveAt = uint64(effectiveAt);
+
+        emit PresetUpdateScheduled(
+            presetId,
+            dailyLimit,
+            maxProtocolExposure,
+            maxRiskScore,
+            requireWhitelist,
+            effectiveAt
+        );
+    }
+
+    /**
+     * @notice Allow or stop new adoptions of a preset
+     * @dev Linked users keep following an inactive preset
+     * @param presetId Preset to update
+     * @param active Whether createPolicyFromPreset accepts the preset
+     */
+    function setPresetActive(uint256 presetId, bool active) external onlyOwner {
+        _currentPreset(presetId).active = active;
+        emit PresetStatusUpdated(presetId, active);
+    }
+
+    // ============ Internal Functions ============
+
+    function _createPolicy(address user, PresetParameters memory parameters) internal {
+        if (userPolicies[user].active) revert PolicyAlreadyExists();
+        if (userPaused[user]) revert UserPaused();
+        if (_isSanctioned(user)) revert AddressSanctioned(user);
+        _validatePolicyParameters(parameters);
+
+        userPolicies[user] = UserPolicy({
+            dailyLimit: parameters.dailyLimit,
+            maxProtocolExposure: parameters.maxProtocolExposure,
+            maxRiskScore: parameters.maxRiskScore,
+            requireWhitelist: parameters.requireWhitelist,
+            active: true,
+            maxDailyTransfers: 0,
+            cooldownPeriod: 0,
+            usdDailyLimit: 0
+        });
+
+        // Changes queued against, and presets linked to, a previous policy do not carry over
+        _clearPendingChanges(user);
+        delete presetLinks[user];
+        _recordPolicyVersion(user);
+
+        emit PolicyCreated(
+            user,
+            parameters.dailyLimit,
+            parameters.maxProtocolExposure,
+            parameters.maxRiskScore
+        );
+    }
+
+    /**
+     * @dev Route each changed parameter through _setParameter so loosening honours the timelock
+     */
+    function _updatePolicy(address user, PresetParameters memory parameters) internal {
+        _validatePolicyParameters(parameters);
+
+        UserPolicy storage policy = userPolicies[user];
+
+        if (parameters.dailyLimit != policy.dailyLimit) {
+            _setParameter(
+                user,
+                PARAM_DAILY_LIMIT,
+                bytes32(0),
+                parameters.dailyLimit,
+                parameters.dailyLimit > policy.dailyLimit
+            );
+        }
+        if (parameters.maxProtocolExposure != policy.maxProtocolExposure) {
+            _setParameter(
+                user,
+                PARAM_MAX_EXPOSURE,
+                bytes32(0),
+                parameters.maxProtocolExposure,
+                parameters.maxProtocolExposure > policy.maxProtocolExposure
+            );
+        }
+        if (parameters.maxRiskScore != policy.maxRiskScore) {
+            _setParameter(
+                user,
+                PARAM_MAX_RISK_SCORE,
+                bytes32(0),
+                parameters.maxRiskScore,
+                parameters.maxRiskScore > policy.maxRiskScore
+            );
+        }
+        if (parameters.requireWhitelist != policy.requireWhitelist) {
+            _setParameter(
+                user,
+                PARAM_REQUIRE_WHITELIST,
+                bytes32(0),
+                parameters.requireWhitelist ? 1 : 0,
+                !parameters.requireWhitelist
+            );
+        }
+
+        _recordPolicyVersion(user);
+        emit PolicyUpdated(user, policy.dailyLimit, policy.maxProtocolExposure, policy.maxRiskScore);
+    }
+
+    function _validatePolicyParameters(PresetParameters memory parameters) internal pure {
+        if (parameters.dailyLimit == 0) revert InvalidDailyLimit();
+        if (parameters.maxProtocolExposure > MAX_BPS) revert InvalidExposureLimit();
+        if (parameters.maxRiskScore < MIN_RISK_SCORE || parameters.maxRiskScore > MAX_RISK_SCORE) {
+            revert InvalidRiskScore();
+        }
+    }
+
+    /**
+     * @dev Look up a preset, first applying a scheduled update whose notice period has passed
+     */
+    function _currentPreset(uint256 presetId) internal returns (PolicyPreset storage preset) {
+        if (presetId == 0 || presetId > presetCount) revert InvalidPreset();
+
+        preset = policyPresets[presetId];
+        uint256 effectiveAt = preset.pendingEffectiveAt;
+        if (effectiveAt != 0 && block.timestamp >= effectiveAt) {
+            preset.parameters = preset.pendingParameters;
+            delete preset.pendingParameters;
+            preset.pendingEffectiveAt = 0;
+            ++preset.version;
+        }
+    }
+
+    function _syncPresetPolicy(address user) internal {
+        PresetLink memory link = presetLinks[user];
+        if (link.presetId == 0 || !userPolicies[user].active) return;
+
+        PolicyPreset storage preset = _currentPreset(link.presetId);
+        if (preset.version == link.version) return;
+
+        presetLinks[user].version = preset.version;
+        _updatePolicy(user, preset.parameters);
+
+        emit PresetSynced(user, link.presetId, preset.version);
+    }
+
+    /**
+     * @dev Apply a parameter immediately unless it loosens the policy and a delay is configured
+     *      A tightening change also supersedes any queued loosening of the same parameter
+     */
+    function _setParameter(
+        address user,
+        bytes32 parameter,
+        bytes32 key,
+        uint256 value,
+        bool loosens
+    ) internal {
+        bytes32 changeId = getChangeId(parameter, key);
+
+        if (loosens) {
+            if (_queueChange(user, changeId, parameter, key, value)) return;
+        } else if (pendingChanges[user][changeId].executableAt != 0) {
+            _removePendingChange(user, changeId);
+            emit PolicyChangeCancelled(user, changeId);
+        }
+
+        _applyParameter(user, parameter, key, value);
+    }
+
+    /**
+     * @dev Queue a loosening change if the user has a delay configured
+     * @return queued Whether the change was queued (false means apply immediately)
+     */
+    function _queueChange(
+        address user,
+        bytes32 changeId,
+        bytes32 parameter,
+        bytes32 key,
+        uint256 value
+    ) internal returns (bool queued) {
+        uint256 delay = policyChangeDelay[user];
+        if (delay == 0) return false;
+
+        if (pendingChangeIndex[user][changeId] == 0) {
+            pendingChangeIds[user].push(changeId);
+            pendingChangeIndex[user][changeId] = pendingChangeIds[user].length;
+        }
+
+        uint256 executableAt = block.timestamp + delay;
+        pendingChanges[user][changeId] = PendingChange({
+            parameter: parameter,
+            key: key,
+            value: value,
+            executableAt: executableAt
+        });
+
+        emit PolicyChangeQueued(user, changeId, parameter, key, value, executableAt);
+        return true;
+    }
+
+    /**
+     * @dev Write a parameter to the user's policy
+     */
+    function _applyParameter(address user, bytes32 parameter, bytes32 key, uint256 value) internal {
+        UserPolicy storage policy = userPolicies[user];
+        address target = address(uint160(uint256(key)));
+
+        if (parameter == PARAM_DAILY_LIMIT) {
+            policy.dailyLimit = value;
+        } else if (parameter == PARAM_MAX_EXPOSURE) {
+            policy.maxProtocolExposure = value;
+        } else if (parameter == PARAM_MAX_RISK_SCORE) {
+            policy.maxRiskScore = value;
+        } else if (parameter == PARAM_REQUIRE_WHITELIST) {
+            policy.requireWhitelist = value != 0;
+        } else if (parameter == PARAM_ASSET_LIMIT) {
+            assetSpending[user][target].dailyLimit = value;
+            _recordPolicyChange(user, parameter, key, value);
+            emit AssetLimitSet(user, target, value);
+        } else if (parameter == PARAM_CHANGE_DELAY) {
+            emit PolicyChangeDelayUpdated(user, policyChangeDelay[user], value);
+            policyChangeDelay[user] = value;
+        } else if (parameter == PARAM_ALLOWLIST || parameter == PARAM_DENYLIST) {
+            AddressList storage list = parameter == PARAM_ALLOWLIST
+                ? userAllowlists[user]
+                : userDenylists[user];
+            if (value != 0) {
+                _addToList(list, target);
+            } else {
+                _removeFromList(list, target);
+            }
+            _recordPolicyChange(user, parameter, key, value);
+            emit UserProtocolListUpdated(user, parameter, target, value != 0);
+        } else if (parameter == PARAM_CATEGORY_CAP) {
+            categoryExposureCaps[user][key] = value;
+            _recordPolicyChange(user, parameter, key, value);
+            emit CategoryExposureCapSet(user, key, value);
+        } else if (parameter == PARAM_MAX_TRANSFER_AMOUNT || parameter == PARAM_COOLDOWN_THRESHOLD) {
+            AssetSpending storage spending = assetSpending[user][target];
+            if (parameter == PARAM_MAX_TRANSFER_AMOUNT) {
+                spending.maxTransferAmount = value;
+            } else {
+                spending.cooldownThreshold = value;
+            }
+            _recordPolicyChange(user, parameter, key, value);
+            emit AssetVelocityLimitSet(user, target, parameter, value);
+        } else if (parameter == PARAM_MAX_DAILY_TRANSFERS) {
+            policy.maxDailyTransfers = value;
+        } else if (parameter == PARAM_COOLDOWN_PERIOD) {
+            policy.cooldownPeriod = value;
+        } else if (parameter == PARAM_USD_DAILY_LIMIT) {
+            policy.usdDailyLimit = value;
+        }
+    }
+
+    /**
+     * @dev Start a new policy version for a change to a setting kept outside UserPolicy.
+     *      The snapshot repeats the current UserPolicy and records the change itself
+     */
+    function _recordPolicyChange(address user, bytes32 parameter, bytes32 key, uint256 value) internal {
+        PolicySnapshot[] storage history = policyHistory[user];
+        history.push(PolicySnapshot(uint64(block.timestamp), userPolicies[user], parameter, key, value));
+        emit PolicyVersionRecorded(user, history.length);
+    }
+
+    /**
+     * @dev Route each list change through _setParameter so widening changes honour the timelock
+     *      Widening means removing from the denylist, or for the allowlist, adding to a non-empty
+     *      list or removing its last entry (an empty allowlist permits every protocol)
+     */
+    function _updateProtocolList(
+        bytes32 parameter,
+        AddressList storage list,
+        address[] calldata protocols,
+        bool listed
+    ) internal {
+        bool isAllowlist = parameter == PARAM_ALLOWLIST;
+
+        for (uint256 i; i < protocols.length;) {
+            address protocol = protocols[i];
+            if (protocol == address(0)) revert ZeroAddress();
+
+            if ((list.index[protocol] != 0) != listed) {
+                bool loosens = isAllowlist
+                    ? (listed ? list.addresses.length != 0 : list.addresses.length == 1)
+                    : !listed;
+                _setParameter(msg.sender, parameter, _addressKey(protocol), listed ? 1 : 0, loosens);
+            }
+
+            unchecked {
+                ++i;
+            }
+        }
+    }
+
+    /**
+     * @dev Whether moving an optional cap (0 = no cap) from currentCap to newCap loosens it
+     */
+    function _loosensCap(uint256 currentCap, uint256 newCap) internal pure returns (bool) {
+        return newCap == 0 || (currentCap != 0 && newCap > currentCap);
+    }
+
+    function _addressKey(address account) internal pure returns (bytes32) {
+        return bytes32(uint256(uint160(account)));
+    }
+
+    function _removePendingChange(address user, bytes32 changeId) internal {
+        uint256 index = pendingChangeIndex[user][changeId];
+        bytes32[] storage ids = pendingChangeIds[user];
+        bytes32 lastId = ids[ids.length - 1];
+
+        ids[index - 1] = lastId;
+        pendingChangeIndex[user][lastId] = index;
+        ids.pop();
+
+        delete pendingChangeIndex[user][changeId];
+        delete pendingChanges[user][changeId];
+    }
+
+    function _clearPendingChanges(address user) internal {
+        bytes32[] storage ids = pendingChangeIds[user];
+
+        for (uint256 i = ids.length; i > 0;) {
+            unchecked {
+                --i;
+            }
+            bytes32 changeId = ids[i];
+            delete pendingChangeIndex[user][changeId];
+            delete pendingChanges[user][changeId];
+            ids.pop();
+            emit PolicyChangeCancelled(user, changeId);
+        }
+    }
+}
@@ -0,0 +1,824 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.19;
+
+import "./AccessRoles.sol";
+import "./ReasonCodes.sol";
+import "./SignedActions.sol";
+import "./interfaces/IAdapter.sol";
+import "./interfaces/IPriceFeed.sol";
+import "./interfaces/IRiskOracle.sol";
+import "./interfaces/ISanctionsList.sol";
+import "./interfaces/IStrategyRouter.sol";
+
+/**
+ * @title PolicyGuardStorage
+ * @author NeoMesh Team
+ * @notice Storage layout, events and errors shared by PolicyGuard and its modules
+ * @dev PolicyGuardConfig, PolicyGuardAdmin and PolicyGuardValidation run in PolicyGuard's storage
+ *      via delegatecall, so every state variable of any of them must be declared here and only appended to
+ * @custom:security-contact security@neomesh.io
+ */
+abstract contract PolicyGuardStorage is AccessRoles, SignedActions {
+    using ReasonCodes for uint256;
+
+    // ============ Constants ============
+
+    uint256 public constant MAX_BPS = 10000; // 100% in basis points
+    uint256 public constant MAX_RISK_SCORE = 10;
+    uint256 public constant MIN_RISK_SCORE = 1;
+    uint256 public constant SPEND_BUCKET_DURATION = 1 hours;
+    uint256 public constant SPEND_BUCKET_COUNT = 24; // rolling window = 24 hourly buckets
+    uint256 public constant MAX_POLICY_CHANGE_DELAY = 30 days;
+    uint256 public constant MAX_COOLDOWN_PERIOD = 7 days;
+    uint256 public constant MAX_VIOLATION_WINDOW = 30 days;
+    uint256 public constant USD_DECIMALS = 18; // precision of USD values and limits
+    uint256 public constant PRESET_NOTICE_PERIOD = 7 days; // before a preset update reaches linked policies
+
+    // Policy parameters that can be changed through the loosening timelock
+    bytes32 public constant PARAM_DAILY_LIMIT = "DAILY_LIMIT";
+    bytes32 public constant PARAM_MAX_EXPOSURE = "MAX_EXPOSURE";
+    bytes32 public constant PARAM_MAX_RISK_SCORE = "MAX_RISK_SCORE";
+    bytes32 public constant PARAM_REQUIRE_WHITELIST = "REQUIRE_WHITELIST";
+    bytes32 public constant PARAM_ASSET_LIMIT = "ASSET_LIMIT";
+    bytes32 public constant PARAM_CHANGE_DELAY = "CHANGE_DELAY";
+    bytes32 public constant PARAM_ALLOWLIST = "ALLOWLIST";
+    bytes32 public constant PARAM_DENYLIST = "DENYLIST";
+    bytes32 public constant PARAM_CATEGORY_CAP = "CATEGORY_CAP";
+    bytes32 public constant PARAM_MAX_TRANSFER_AMOUNT = "MAX_TRANSFER_AMOUNT";
+    bytes32 public constant PARAM_MAX_DAILY_TRANSFERS = "MAX_DAILY_TRANSFERS";
+    bytes32 public constant PARAM_COOLDOWN_THRESHOLD = "COOLDOWN_THRESHOLD";
+    bytes32 public constant PARAM_COOLDOWN_PERIOD = "COOLDOWN_PERIOD";
+    bytes32 public constant PARAM_USD_DAILY_LIMIT = "USD_DAILY_LIMIT";
+    string public constant VERSION = "1.0.0";
+
+    // EIP-712 types of relayed policy actions, signed by the policy's user
+    bytes32 public constant CREATE_POLICY_TYPEHASH = keccak256(
+        "CreatePolicy(address user,uint256 dailyLimit,uint256 maxProtocolExposure,uint256 maxRiskScore,bool requireWhitelist,uint256 nonce,uint256 deadline)"
+    );
+    bytes32 public constant UPDATE_POLICY_TYPEHASH = keccak256(
+        "UpdatePolicy(address user,uint256 dailyLimit,uint256 maxProtocolExposure,uint256 maxRiskScore,bool requireWhitelist,uint256 nonce,uint256 deadline)"
+    );
+
+    // ============ Custom Errors ============
+
+    error NotAuthorized();
+    error NoActivePolicy();
+    error UserBlacklisted();
+    error InvalidDailyLimit();
+    error InvalidExposureLimit();
+    error InvalidRiskScore();
+    error DailyLimitExceeded();
+    error ProtocolNotWhitelisted();
+    error RiskScoreTooHigh();
+    error PolicyAlreadyExists();
+    error InvalidAmount();
+    error ExposureUnderflow();
+    error InvalidDelay();
+    error NoPendingChange();
+    error ChangeNotReady();
+    error InvalidOracleMaxAge();
+    error InvalidCategory();
+    error InvalidCooldown();
+    error InvalidViolationThresholds();
+    error InvalidBlacklistEntry();
+    error AddressSanctioned(address account);
+    error StrategyRouterNotSet();
+    error InvalidPriceFeed();
+    error InvalidPreset();
+    error InvalidPolicyVersion();
+    error UserPaused();
+
+    // ============ State Variables ============
+
+    bool public paused;
+    IStrategyRouter public strategyRouter; // portfolio source for exposure limits
+    IRiskOracle public riskOracle; // optional source of protocol risk scores
+    uint256 public riskOracleMaxAge; // older oracle scores fall back to protocolRiskScores
+
+    mapping(address => UserPolicy) public userPolicies;
+    mapping(address => mapping(address => AssetSpending)) public assetSpending; // user => token => spending
+    mapping(address => mapping(address => uint256)) public protocolExposure;
+    mapping(address => RollingWindow) internal transferCounts; // validated transfers per hour, all assets
+    mapping(address => uint256) public cooldownEndsAt; // no transfers until this timestamp
+    mapping(address => bool) public whitelistedProtocols;
+    mapping(address => uint256) public protocolRiskScores;
+    mapping(address => BlacklistEntry) public blacklistEntries; // kept after expiry until replaced or removed
+    mapping(address => bool) public authorizedCallers; // StrategyRouter, adapters
+
+    // Loosening timelock: user => delay, user => changeId => pending change
+    mapping(address => uint256) public policyChangeDelay;
+    mapping(address => mapping(bytes32 => PendingChange)) public pendingChanges;
+    mapping(address => bytes32[]) internal pendingChangeIds;
+    mapping(address => mapping(bytes32 => uint256)) internal pendingChangeIndex; // 1-based
+
+    // User-maintained protocol lists, evaluated alongside the global whitelist
+    mapping(address => AddressList) internal userAllowlists; // non-empty = only these protocols
+    mapping(address => AddressList) internal userDenylists; // never these protocols
+
+    // Protocol categories (e.g. "LENDING", "DEX_LP", "LIQUID_STAKING"); 0 = uncategorized
+    mapping(address => bytes32) public protocolCategories;
+    mapping(bytes32 => AddressList) internal categoryProtocols;
+    mapping(address => mapping(bytes32 => uint256)) public categoryExposureCaps; // user => category => bps, 0 = no cap
+
+    // Automatic enforcement after repeated violations, thresholds of 0 = disabled
+    uint256 public violationWindow; // seconds a violation counts towards the thresholds
+    uint256 public autoPauseThreshold; // violations in the window that pause the user
+    uint256 public autoBlacklistThreshold; // violations in the window that blacklist the user
+    mapping(address => Violation[]) internal violationHistory;
+    mapping(address => uint256) internal violationCountStart; // older history entries are not counted
+
+    AddressList internal blacklistedAccounts; // every address with a blacklist entry, including expired ones
+
+    ISanctionsList public sanctionsList; // optional external screening, checked alongside the blacklist
+    bool public sanctionsFailClosed; // treat addresses as sanctioned while the list cannot be reached
+
+    // Platform-wide exposure per protocol, summed over all users
+    mapping(address => uint256) public totalProtocolExposure;
+    mapping(address => ProtocolCap) public protocolExposureCaps;
+
+    // USD pricing: token => Chainlink-compatible feed, user => USD value spent per hour, all assets
+    mapping(address => PriceFeedConfig) public priceFeeds;
+    mapping(address => RollingWindow) internal usdSpending;
+
+    // Policy presets, 1-based ids; linked users follow preset updates after PRESET_NOTICE_PERIOD
+    uint256 public presetCount;
+    mapping(uint256 => PolicyPreset) internal policyPresets;
+    mapping(address => PresetLink) public presetLinks;
+
+    // Every distinct UserPolicy a user has had, oldest first; version n is policyHistory[user][n - 1]
+    mapping(address => PolicySnapshot[]) internal policyHistory;
+
+    // Users paused by repeated violations; no new policy until an admin lifts the pause
+    mapping(address => bool) public userPaused;
+
+    // ============ Structs ============
+
+    // How validated funds move, which decides the portfolio exposure is measured against
+    enum TransferKind {
+        ROUTE, // between the user's positions: the portfolio is unchanged
+        DEPOSIT, // new funds from outside: the portfolio grows by the amount
+        WITHDRAWAL // funds leaving for a recipient: only the user's own limits apply
+    }
+
+    enum BlacklistReason {
+        NONE, // not blacklisted
+        MANUAL,
+        FRAUD,
+        SECURITY_INCIDENT,
+        REPEATED_VIOLATIONS // automatic, see autoBlacklistThreshold
+    }
+
+    struct UserPolicy {
+        uint256 dailyLimit; // default limit for assets without a dedicated limit
+        uint256 maxProtocolExposure; // in basis points (e.g., 2000 = 20%)
+        uint256 maxRiskScore;
+        bool requireWhitelist;
+        bool active;
+        // Velocity controls, 0 = disabled; amount-based controls are set per asset in AssetSpending
+        uint256 maxDailyTransfers; // validated transfers per rolling 24 hours
+        uint256 cooldownPeriod; // seconds before the next transfer is allowed
+        uint256 usdDailyLimit; // USD (USD_DECIMALS) across all assets per rolling 24 hours, 0 = disabled
+    }
+
+    struct RollingWindow {
+        uint256 total; // sum of hourly buckets as of lastUpdateHour
+        uint256 lastUpdateHour; // bucket index (timestamp / SPEND_BUCKET_DURATION) of the last roll
+        uint256[SPEND_BUCKET_COUNT] hourly; // ring buffer indexed by bucket % SPEND_BUCKET_COUNT
+    }
+
+    struct AssetSpending {
+        uint256 dailyLimit; // 0 = fall back to the policy's default dailyLimit
+        RollingWindow window; // amount spent per hour
+        uint256 maxTransferAmount; // largest single transfer, 0 = disabled
+        uint256 cooldownThreshold; // transfers above this amount start the policy's cooldown, 0 = disabled
+    }
+
+    struct PendingChange {
+        bytes32 parameter; // one of the PARAM_* constants
+        bytes32 key; // token or protocol address for asset limits and list changes, category for category caps, 0 otherwise
+        uint256 value; // new value (bools encoded as 0/1)
+        uint256 executableAt;
+    }
+
+    struct Violation {
+        uint64 timestamp;
+        ReasonCode reason;
+        address protocol;
+        address token;
+    }
+
+    struct BlacklistEntry {
+        BlacklistReason reason;
+        address addedBy;
+        uint64 addedAt;
+        uint64 expiresAt; // 0 = until removed
+    }
+
+    struct ProtocolCap {
+        uint256 maxAmount; // absolute cap in the protocol asset's smallest unit, 0 = none
+        uint256 maxTvlBps; // cap as a share of the protocol's getTVL(), 0 = none
+    }
+
+    struct PriceFeedConfig {
+        IPriceFeed feed;
+        uint8 feedDecimals;
+        uint8 tokenDecimals;
+        uint256 maxAge; // seconds before an answer is considered stale
+        uint256 maxDeviationBps; // largest accepted move from the previous round, 0 = unchecked
+    }
+
+    struct PresetParameters {
+        uint256 dailyLimit;
+        uint256 maxProtocolExposure;
+        uint256 maxRiskScore;
+        bool requireWhitelist;
+    }
+
+    struct PolicyPreset {
+        bytes32 name;
+        bool active; // inactive presets cannot be adopted, linked users keep following them
+        uint64 version; // incremented each time a scheduled update takes effect
+        uint64 pendingEffectiveAt; // 0 = no update scheduled
+        PresetParameters parameters;
+        PresetParameters pendingParameters;
+    }
+
+    struct PresetLink {
+        uint128 presetId; // 0 = not linked
+        uint128 version; // preset version last applied to the user's policy
+    }
+
+    struct PolicySnapshot {
+        uint64 recordedAt; // timestamp the policy took effect
+        UserPolicy policy;
+        // Setting kept outside UserPolicy whose change created this version (asset limit, asset
+        // velocity limit, allowlist, denylist or category cap); parameter is 0 for changes to the policy itself
+        bytes32 parameter;
+        bytes32 key;
+        uint256 value;
+    }
+
+    // Enumerable set of protocols or accounts
+    struct AddressList {
+        address[] addresses;
+        mapping(address => uint256) index; // 1-based position in addresses
+    }
+
+    // ============ Events ============
+
+    event PolicyCreated(
+        address indexed user,
+        uint256 dailyLimit,
+        uint256 maxExposure,
+        uint256 maxRiskScore
+    );
+    event PolicyUpdated(
+        address indexed user,
+        uint256 newDailyLimit,
+        uint256 newMaxExposure,
+        uint256 newMaxRiskScore
+    );
+    event AssetLimitSet(address indexed user, address indexed token, uint256 dailyLimit);
+    event AssetVelocityLimitSet(
+        address indexed user,
+        address indexed token,
+        bytes32 indexed parameter,
+        uint256 value
+    );
+    event PolicyChangeQueued(
+        address indexed user,
+        bytes32 indexed changeId,
+        bytes32 parameter,
+        bytes32 key,
+        uint256 value,
+        uint256 executableAt
+    );
+    event PolicyChangeExecuted(
+        address indexed user,
+        bytes32 indexed changeId,
+        bytes32 parameter,
+        bytes32 key,
+        uint256 value
+    );
+    event PolicyChangeCancelled(address indexed user, bytes32 indexed changeId);
+    event PolicyChangeDelayUpdated(address indexed user, uint256 oldDelay, uint256 newDelay);
+    event UserProtocolListUpdated(
+        address indexed user,
+        bytes32 indexed list,
+        address indexed protocol,
+        bool listed
+    );
+    event ProtocolCategorySet(address indexed protocol, bytes32 indexed category);
+    event CategoryExposureCapSet(address indexed user, bytes32 indexed category, uint256 maxExposureBps);
+    event CooldownStarted(address indexed user, uint256 endsAt);
+    event ViolationThresholdsUpdated(uint256 window, uint256 pauseThreshold, uint256 blacklistThreshold);
+    event UserAutoPaused(address indexed user, uint256 violations);
+    event UserAutoBlacklisted(address indexed user, uint256 violations);
+    event TransferValidated(
+        address indexed user,
+        address indexed protocol,
+        address indexed token,
+        uint256 amount,
+        uint256 policyVersion
+    );
+    event TransferBlocked(
+        address indexed user,
+        address indexed protocol,
+        address indexed token,
+        ReasonCode reason
+    );
+    event ProtocolWhitelisted(address indexed protocol, uint256 riskScore);
+    event ProtocolRemoved(address indexed protocol);
+    event ProtocolRiskUpdated(address indexed protocol, uint256 oldScore, uint256 newScore);
+    event EmergencyPause(address indexed user, string reason);
+    event UserPauseLifted(address indexed user);
+    event UserBlacklistedEvent(
+        address indexed user,
+        BlacklistReason indexed code,
+        address indexed addedBy,
+        uint256 expiresAt,
+        string reason
+    );
+    event UserUnblacklisted(address indexed user);
+    event CallerAuthorized(address indexed caller);
+    event CallerRevoked(address indexed caller);
+    event ExposureDecreased(address indexed user, address indexed protocol, uint256 amount);
+    event ExposureReset(address indexed user, address indexed protocol);
+    event ExposureReconciled(
+        address indexed user,
+        address indexed protocol,
+        uint256 oldExposure,
+        uint256 newExposure
+    );
+    event PolicyGuardPaused(string reason);
+    event PolicyGuardUnpaused();
+    event StrategyRouterUpdated(address indexed oldRouter, address indexed newRouter);
+    event RiskOracleUpdated(address indexed oracle, uint256 maxAge);
+    event RiskScoreDivergence(address indexed protocol, uint256 manualScore, uint256 oracleScore);
+    event SanctionsListUpdated(address indexed sanctionsList, bool failClosed);
+    event ProtocolExposureCapSet(address indexed protocol, uint256 maxAmount, uint256 maxTvlBps);
+    event PriceFeedSet(address indexed token, address indexed feed, uint256 maxAge, uint256 maxDeviationBps);
+    event PresetCreated(uint256 indexed presetId, bytes32 indexed name);
+    event PresetUpdateScheduled(
+        uint256 indexed presetId,
+        uint256 dailyLimit,
+        uint256 maxProtocolExposure,
+        uint256 maxRiskScore,
+        bool requireWhitelist,
+        uint256 effectiveAt
+    );
+    event PresetStatusUpdated(uint256 indexed presetId, bool active);
+    event PresetAdopted(address indexed user, uint256 indexed presetId, bool linked);
+    event PresetUnlinked(address indexed user, uint256 indexed presetId);
+    event PresetSynced(address indexed user, uint256 indexed presetId, uint256 version);
+    event PolicyVersionRecorded(address indexed user, uint256 version);
+
+    // ============ Modifiers ============
+
+    modifier onlyAuthorized() {
+        if (!authorizedCallers[msg.sender] && msg.sender != owner) revert NotAuthorized();
+        _;
+    }
+
+    modifier hasActivePolicy(address user) {
+        if (_isBlacklisted(user)) revert UserBlacklisted();
+        if (!userPolicies[user].active) revert NoActivePolicy();
+        _;
+    }
+
+    modifier notBlacklisted() {
+        if (_isBlacklisted(msg.sender)) revert UserBlacklisted();
+        _;
+    }
+
+    modifier whenNotPaused() {
+        if (paused) revert UserBlacklisted(); // Reusing error for simplicity
+        _;
+    }
+
+    // ============ View Functions ============
+
+    /**
+     * @notice Get the identifier of a policy change
+     * @param parameter One of the PARAM_* constants
+     * @param key Left-padded token or protocol address for asset limits and list changes,
+     *            category for category caps, 0 otherwise
+     * @return Change identifier used by pendingChanges, executePolicyChange and cancelPolicyChange
+     */
+    function getChangeId(bytes32 parameter, bytes32 key) public pure returns (bytes32) {
+        return keccak256(abi.encode(parameter, key));
+    }
+
+    // ============ Internal Functions ============
+
+    function _domainNameAndVersion() internal pure override returns (string memory, string memory) {
+        return ("NeoMesh PolicyGuard", VERSION);
+    }
+
+    function _assetDailyLimit(UserPolicy storage policy, AssetSpending storage spending)
+        internal
+        view
+        returns (uint256)
+    {
+        return spending.dailyLimit != 0 ? spending.dailyLimit : policy.dailyLimit;
+    }
+
+    function _isBlacklisted(address user) internal view returns (bool) {
+        BlacklistEntry storage entry = blacklistEntries[user];
+        return entry.reason != BlacklistReason.NONE && (entry.expiresAt == 0 || block.timestamp < entry.expiresAt);
+    }
+
+    function _isSanctioned(address account) internal view returns (bool) {
+        if (address(sanctionsList) == address(0)) return false;
+
+        try sanctionsList.isSanctioned(account) returns (bool sanctioned) {
+            return sanctioned;
+        } catch {
+            return sanctionsFailClosed;
+        }
+    }
+
+    /**
+     * @dev Write a blacklist entry and deactivate the user's policy
+     */
+    function _blacklist(address user, BlacklistReason code, address addedBy, uint256 expiresAt) internal {
+        if (user == address(0)) revert ZeroAddress();
+
+        blacklistEntries[user] = BlacklistEntry(code, addedBy, uint64(block.timestamp), uint64(expiresAt));
+        _addToList(blacklistedAccounts, user);
+        userPolicies[user].active = false;
+        _recordPolicyVersion(user);
+    }
+
+    /**
+     * @dev Append the user's current policy to their history unless it matches the latest version.
+     *      Called after every change to a UserPolicy; history starts with the user's first policy
+     */
+    function _recordPolicyVersion(address user) internal {
+        PolicySnapshot[] storage history = policyHistory[user];
+        UserPolicy memory policy = userPolicies[user];
+        uint256 version = history.length;
+
+        if (version == 0) {
+            if (!policy.active) return;
+        } else if (keccak256(abi.encode(history[version - 1].policy)) == keccak256(abi.encode(policy))) {
+            return;
+        }
+
+        history.push(PolicySnapshot(uint64(block.timestamp), policy, bytes32(0), bytes32(0), 0));
+        emit PolicyVersionRecorded(user, version + 1);
+    }
+
+    function _addToList(AddressList storage list, address account) internal {
+        if (list.index[account] != 0) return;
+        list.addresses.push(account);
+        list.index[account] = list.addresses.length;
+    }
+
+    function _removeFromList(AddressList storage list, address account) internal {
+        uint256 index = list.index[account];
+        if (index == 0) return;
+
+        address last = list.addresses[list.addresses.length - 1];
+        list.addresses[index - 1] = last;
+        list.index[last] = index;
+        list.addresses.pop();
+        delete list.index[account];
+    }
+
+    // ============ Transfer Checks ============
+    // Shared by PolicyGuard's simulation views and PolicyGuardValidation
+
+    /**
+     * @dev Evaluate the transfer constraints against current state without writing to it
+     *      Window totals are read as of the current block, so rolling first is not required.
+     *      For withdrawals protocol is the recipient, which is only screened for sanctions
+     * @param kind How the funds move; canTransfer and getTransferViolations evaluate routes
+     * @param stopAtFirst Return on the first failure, skipping the remaining (and costlier) checks
+     * @return failures ReasonCodes mask of the failed constraints, 0 if the transfer is allowed
+     */
+    function _checkTransfer(
+        address user,
+        address token,
+        address protocol,
+        uint256 amount,
+        TransferKind kind,
+        bool stopAtFirst
+    ) internal view returns (uint256 failures) {
+        if (paused) {
+            failures = failures.add(ReasonCode.GUARD_PAUSED);
+            if (stopAtFirst) return failures;
+        }
+        if (_isBlacklisted(user)) {
+            failures = failures.add(ReasonCode.USER_BLACKLISTED);
+            if (stopAtFirst) return failures;
+        }
+
+        // Screen both ends of the transfer against the external sanctions list
+        if (_isSanctioned(user)) {
+            failures = failures.add(ReasonCode.SANCTIONED_USER);
+            if (stopAtFirst) return failures;
+        }
+        if (_isSanctioned(protocol)) {
+            failures = failures.add(ReasonCode.SANCTIONED_RECIPIENT);
+            if (stopAtFirst) return failures;
+        }
+
+        // Without an active policy there are no limits to evaluate
+        UserPolicy storage policy = userPolicies[user];
+        if (!policy.active) return failures.add(ReasonCode.NO_ACTIVE_POLICY);
+
+        AssetSpending storage spending = assetSpending[user][token];
+
+        // Check single-transfer cap
+        if (spending.maxTransferAmount != 0 && amount > spending.maxTransferAmount) {
+            failures = failures.add(ReasonCode.MAX_TRANSFER_AMOUNT);
+            if (stopAtFirst) return failures;
+        }
+
+        // Check cooldown started by an earlier large transfer
+        if (block.timestamp < cooldownEndsAt[user]) {
+            failures = failures.add(ReasonCode.COOLDOWN_ACTIVE);
+            if (stopAtFirst) return failures;
+        }
+
+        // Check number of transfers in the rolling window
+        if (policy.maxDailyTransfers != 0 && _windowTotal(transferCounts[user]) >= policy.maxDailyTransfers) {
+            failures = failures.add(ReasonCode.TRANSFER_COUNT_LIMIT);
+            if (stopAtFirst) return failures;
+        }
+
+        // Check rolling daily limit for this asset
+        if (_windowTotal(spending.window) + amount > _assetDailyLimit(policy, spending)) {
+            failures = failures.add(ReasonCode.DAILY_LIMIT);
+            if (stopAtFirst) return failures;
+        }
+
+        // Check rolling USD limit across all assets
+        if (policy.usdDailyLimit != 0) {
+            (bool priced, uint256 usdValue) = _usdValue(token, amount);
+            if (!priced) {
+                failures = failures.add(ReasonCode.PRICE_UNAVAILABLE);
+                if (stopAtFirst) return failures;
+            } else if (_windowTotal(usdSpending[user]) + usdValue > policy.usdDailyLimit) {
+                failures = failures.add(ReasonCode.USD_DAILY_LIMIT);
+                if (stopAtFirst) return failures;
+            }
+        }
+
+        // The remaining checks concern the protocol receiving the funds
+        if (kind == TransferKind.WITHDRAWAL) return failures;
+
+        // Check whitelist requirement
+        if (policy.requireWhitelist && !whitelistedProtocols[protocol]) {
+            failures = failures.add(ReasonCode.NOT_WHITELISTED);
+            if (stopAtFirst) return failures;
+        }
+
+        // Check the user's own allowlist and denylist
+        if (!_isProtocolAllowedForUser(user, protocol)) {
+            failures = failures.add(ReasonCode.USER_PROTOCOL_LIST);
+            if (stopAtFirst) return failures;
+        }
+
+        // Check protocol risk score
+        if (_effectiveRiskScore(protocol) > policy.maxRiskScore) {
+            failures = failures.add(ReasonCode.RISK_TOO_HIGH);
+            if (stopAtFirst) return failures;
+        }
+
+        // Check protocol exposure against the user's on-chain portfolio in the same asset
+        uint256 inflow = kind == TransferKind.DEPOSIT ? amount : 0;
+        if (!_isWithinExposureLimit(user, token, protocol, amount, inflow, policy.maxProtocolExposure)) {
+            failures = failures.add(ReasonCode.EXPOSURE_LIMIT);
+            if (stopAtFirst) return failures;
+        }
+
+        // Check aggregate exposure to the protocol's category
+        if (!_isWithinCategoryLimit(user, token, protocol, amount, inflow)) {
+            failures = failures.add(ReasonCode.CATEGORY_EXPOSURE_LIMIT);
+            if (stopAtFirst) return failures;
+        }
+
+        // Check the platform-wide cap shared by all users of the protocol
+        if (totalProtocolExposure[protocol] + amount > _globalExposureCap(protocol)) {
+            failures = failures.add(ReasonCode.GLOBAL_EXPOSURE_LIMIT);
+        }
+    }
+
+    /**
+     * @dev Count violations inside the window, newest first, stopping once limit is reached
+     */
+    function _recentViolations(address user, uint256 limit) internal view returns (uint256 count) {
+        Violation[] storage history = violationHistory[user];
+        uint256 start = violationCountStart[user];
+        uint256 cutoff = block.timestamp > violationWindow ? block.timestamp - violationWindow : 0;
+
+        for (uint256 i = history.length; i > start && count < limit;) {
+            unchecked {
+                --i;
+            }
+            if (history[i].timestamp <= cutoff) break;
+            unchecked {
+                ++count;
+            }
+        }
+    }
+
+    /**
+     * @dev Check that exposure after the transfer stays within maxExposureBps of the portfolio
+     *      Exposure is held in the protocol's asset, so the portfolio only counts the user's
+     *      balances in the router's adapters holding the same token. Enforcement is skipped
+     *      when no router is configured or the portfolio, including any inflow, is empty
+     * @param inflow New funds the transfer adds to the portfolio: the amount for deposits, 0 for routes
+     */
+    function _isWithinExposureLimit(
+        address user,
+        address token,
+        address protocol,
+        uint256 amount,
+        uint256 inflow,
+        uint256 maxExposureBps
+    ) internal view returns (bool) {
+        if (address(strategyRouter) == address(0)) return true;
+
+        uint256 totalPortfolio = _portfolioBalance(user, token) + inflow;
+        if (totalPortfolio == 0) return true;
+
+        uint256 newExposure = protocolExposure[user][protocol] + amount;
+        return newExposure * MAX_BPS <= maxExposureBps * totalPortfolio;
+    }
+
+    /**
+     * @dev Answer of an earlier feed round, 0 if it cannot be read
+     */
+    function _previousAnswer(IPriceFeed feed, uint80 roundId) internal view returns (uint256) {
+        try feed.getRoundData(roundId) returns (uint80, int256 answer, uint256, uint256, uint80) {
+            return answer > 0 ? uint256(answer) : 0;
+        } catch {
+            return 0;
+        }
+    }
+
+    /**
+     * @dev Lower of the protocol's absolute and TVL-based caps. A TVL cap counts as 0 when the
+     *      protocol has no readable getTVL(), so an unreadable adapter fails closed
+     */
+    function _globalExposureCap(address protocol) internal view returns (uint256 cap) {
+        ProtocolCap storage protocolCap = protocolExposureCaps[protocol];
+        cap = protocolCap.maxAmount != 0 ? protocolCap.maxAmount : type(uint256).max;
+        if (protocolCap.maxTvlBps == 0) return cap;
+
+        if (protocol.code.length == 0) return 0;
+        try IAdapter(protocol).getTVL() returns (uint256 tvl) {
+            uint256 tvlCap = (tvl * protocolCap.maxTvlBps) / MAX_BPS;
+            if (tvlCap < cap) cap = tvlCap;
+        } catch {
+            return 0;
+        }
+    }
+
+    /**
+     * @dev Same portfolio rules as _isWithinExposureLimit, applied to the sum of exposure
+     *      across every protocol in the target protocol's category
+     */
+    function _isWithinCategoryLimit(
+        address user,
+        address token,
+        address protocol,
+        uint256 amount,
+        uint256 inflow
+    ) internal view returns (bool) {
+        bytes32 category = protocolCategories[protocol];
+        if (category == bytes32(0)) return true;
+
+        uint256 maxExposureBps = categoryExposureCaps[user][category];
+        if (maxExposureBps == 0 || address(strategyRouter) == address(0)) return true;
+
+        uint256 totalPortfolio = _portfolioBalance(user, token) + inflow;
+        if (totalPortfolio == 0) return true;
+
+        uint256 newExposure = _categoryExposure(user, category, token) + amount;
+        return newExposure * MAX_BPS <= maxExposureBps * totalPortfolio;
+    }
+
+    /**
+     * @dev Exposure across a category's protocols, leaving out adapters whose asset() is not token
+     *      since their exposure is held in other units. Protocols without a readable asset() count
+     */
+    function _categoryExposure(
+        address user,
+        bytes32 category,
+        address token
+    ) internal view returns (uint256 exposure) {
+        address[] storage protocols = categoryProtocols[category].addresses;
+        uint256 length = protocols.length;
+
+        for (uint256 i; i < length;) {
+            address protocol = protocols[i];
+            if (!_holdsOtherAsset(protocol, token)) exposure += protocolExposure[user][protocol];
+            unchecked {
+                ++i;
+            }
+        }
+    }
+
+    /**
+     * @dev User's balance in token across the router's adapters holding token
+     */
+    function _portfolioBalance(address user, address token) internal view returns (uint256 balance) {
+        address[] memory adapters = strategyRouter.getAdapters();
+
+        for (uint256 i; i < adapters.length;) {
+            IAdapter adapter = IAdapter(adapters[i]);
+            if (adapter.asset() == token) balance += adapter.getUserBalance(user);
+            unchecked {
+                ++i;
+            }
+        }
+    }
+
+    function _holdsOtherAsset(address protocol, address token) internal view returns (bool) {
+        if (protocol.code.length == 0) return false;
+        try IAdapter(protocol).asset() returns (address protocolAsset) {
+            return protocolAsset != token;
+        } catch {
+            return false;
+        }
+    }
+
+    /**
+     * @dev View counterpart of _rollWindow
+     * @return Total recorded in the rolling window as of the current block
+     */
+    function _windowTotal(RollingWindow storage window) internal view returns (uint256) {
+        uint256 currentHour = block.timestamp / SPEND_BUCKET_DURATION;
+        uint256 lastHour = window.lastUpdateHour;
+
+        uint256 elapsed = currentHour - lastHour;
+        if (elapsed >= SPEND_BUCKET_COUNT) return 0;
+
+        uint256 released;
+        for (uint256 i = 1; i <= elapsed;) {
+            released += window.hourly[(lastHour + i) % SPEND_BUCKET_COUNT];
+            unchecked {
+                ++i;
+            }
+        }
+
+        return window.total - released;
+    }
+
+    function _usdValue(address token, uint256 amount) internal view returns (bool available, uint256 usdValue) {
+        PriceFeedConfig storage config = priceFeeds[token];
+        if (address(config.feed) == address(0)) return (false, 0);
+
+        try config.feed.latestRoundData() returns (uint80 roundId, int256 answer, uint256, uint256 updatedAt, uint80) {
+            if (answer <= 0 || updatedAt > block.timestamp || block.timestamp - updatedAt > config.maxAge) {
+                return (false, 0);
+            }
+            if (config.maxDeviationBps != 0 && roundId > 0) {
+                uint256 previous = _previousAnswer(config.feed, roundId - 1);
+                uint256 price = uint256(answer);
+                uint256 delta = price > previous ? price - previous : previous - price;
+                if (previous != 0 && delta * MAX_BPS > previous * config.maxDeviationBps) return (false, 0);
+            }
+
+            usdValue = (amount * uint256(answer) * 10 ** USD_DECIMALS) /
+                10 ** (uint256(config.feedDecimals) + config.tokenDecimals);
+            return (true, usdValue);
+        } catch {
+            return (false, 0);
+        }
+    }
+
+    function _isProtocolAllowedForUser(address user, address protocol) internal view returns (bool) {
+        if (userDenylists[user].index[protocol] != 0) return false;
+
+        AddressList storage allowlist = userAllowlists[user];
+        return allowlist.addresses.length == 0 || allowlist.index[protocol] != 0;
+    }
+
+    function _oracleRiskScore(address protocol) internal view returns (bool available, uint256 score) {
+        if (address(riskOracle) == address(0)) return (false, 0);
+
+        try riskOracle.getRiskScore(protocol) returns (uint256 oracleScore, uint256 updatedAt) {
+            if (
+                oracleScore < MIN_RISK_SCORE ||
+                oracleScore > MAX_RISK_SCORE ||
+                updatedAt > block.timestamp ||
+                block.timestamp - updatedAt > riskOracleMaxAge
+            ) {
+                return (false, 0);
+            }
+            return (true, oracleScore);
+        } catch {
+            return (false, 0);
+        }
+    }
+
+    function _effectiveRiskScore(address protocol) internal view returns (uint256) {
+        (bool available, uint256 score) = _oracleRiskScore(protocol);
+        return available ? score : protocolRiskScores[protocol];
+    }
+}
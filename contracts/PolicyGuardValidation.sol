@@ -0,0 +1,209 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.19;
+
+import "./PolicyGuardStorage.sol";
+
+/**
+ * @title PolicyGuardValidation
+ * @author NeoMesh Team
+ * @notice Transfer validation for PolicyGuard: records spend, exposure and violations
+ * @dev Deployed separately and only meaningful when called through PolicyGuard: PolicyGuard
+ *      delegatecalls here, so msg.sender is the original caller and all writes land in PolicyGuard's storage
+ * @custom:security-contact security@neomesh.io
+ */
+contract PolicyGuardValidation is PolicyGuardStorage {
+    using ReasonCodes for uint256;
+
+    // ============ Transfer Validation ============
+
+    /**
+     * @notice Validate a transfer against user policy
+     * @dev Only callable by authorized contracts, since it records spend, exposure and violations
+     *      against the user
+     * @param user Address of the user
+     * @param token Asset being transferred (address(0) for native ETH)
+     * @param protocol Target protocol address
+     * @param amount Transfer amount in the asset's smallest unit
+     * @return valid Whether the transfer is allowed
+     */
+    function validateTransfer(
+        address user,
+        address token,
+        address protocol,
+        uint256 amount
+    ) external onlyAuthorized hasActivePolicy(user) whenNotPaused returns (bool valid) {
+        return _validateTransfer(user, token, protocol, amount, TransferKind.ROUTE);
+    }
+
+    /**
+     * @notice Validate a deposit of new funds into a protocol against user policy
+     * @dev Same checks as validateTransfer, except that exposure limits are measured against
+     *      the portfolio including the deposit, since the funds are not in it yet
+     * @param user Address of the user
+     * @param token Asset being deposited (address(0) for native ETH)
+     * @param protocol Protocol receiving the deposit
+     * @param amount Deposit amount in the asset's smallest unit
+     * @return valid Whether the deposit is allowed
+     */
+    function validateDeposit(
+        address user,
+        address token,
+        address protocol,
+        uint256 amount
+    ) external onlyAuthorized hasActivePolicy(user) whenNotPaused returns (bool valid) {
+        return _validateTransfer(user, token, protocol, amount, TransferKind.DEPOSIT);
+    }
+
+    /**
+     * @notice Validate a withdrawal from the user's positions to a recipient against user policy
+     * @dev Counts against the same daily, USD, per-transfer, transfer count and cooldown limits
+     *      as transfers, and screens the recipient for sanctions. Protocol checks do not apply
+     *      and exposure is left unchanged; the caller releases it with decreaseExposure. Events
+     *      and recorded violations carry the recipient in place of the protocol
+     * @param user Address of the user
+     * @param token Asset being withdrawn (address(0) for native ETH)
+     * @param recipient Address receiving the funds
+     * @param amount Withdrawal amount in the asset's smallest unit
+     * @return valid Whether the withdrawal is allowed
+     */
+    function validateWithdrawal(
+        address user,
+        address token,
+        address recipient,
+        uint256 amount
+    ) external onlyAuthorized hasActivePolicy(user) whenNotPaused returns (bool valid) {
+        return _validateTransfer(user, token, recipient, amount, TransferKind.WITHDRAWAL);
+    }
+
+    // ============ Internal Functions ============
+
+    /**
+     * @dev Record the spend and exposure of an allowed transfer, or the violation of a blocked one.
+     *      Withdrawals record spend only
+     */
+    function _validateTransfer(
+        address user,
+        address token,
+        address protocol,
+        uint256 amount,
+        TransferKind kind
+    ) internal returns (bool) {
+        if (amount == 0) revert InvalidAmount();
+
+        AssetSpending storage spending = assetSpending[user][token];
+        RollingWindow storage transfers = transferCounts[user];
+
+        // Release buckets that have left the rolling 24-hour window
+        uint256 currentHour = _rollWindow(spending.window);
+        _rollWindow(transfers);
+
+        bool toProtocol = kind != TransferKind.WITHDRAWAL;
+        if (toProtocol) _flagRiskDivergence(protocol);
+
+        uint256 failures = _checkTransfer(user, token, protocol, amount, kind, true);
+        if (failures != 0) {
+            ReasonCode reason = failures.first();
+            emit TransferBlocked(user, protocol, token, reason);
+            _recordViolation(user, token, protocol, reason);
+            return false;
+        }
+
+        // Record spend in the current hourly bucket and update protocol exposure
+        _recordInWindow(spending.window, currentHour, amount);
+        _recordInWindow(transfers, currentHour, 1);
+        if (toProtocol) {
+            protocolExposure[user][protocol] += amount;
+            totalProtocolExposure[protocol] += amount;
+        }
+
+        UserPolicy storage policy = userPolicies[user];
+        if (policy.usdDailyLimit != 0) {
+            // _checkTransfer already confirmed the price is available
+            (, uint256 usdValue) = _usdValue(token, amount);
+            _rollWindow(usdSpending[user]);
+            _recordInWindow(usdSpending[user], currentHour, usdValue);
+        }
+
+        if (spending.cooldownThreshold != 0 && amount > spending.cooldownThreshold && policy.cooldownPeriod != 0) {
+            uint256 endsAt = block.timestamp + policy.cooldownPeriod;
+            cooldownEndsAt[user] = endsAt;
+            emit CooldownStarted(user, endsAt);
+        }
+
+        emit TransferValidated(user, protocol, token, amount, policyHistory[user].length);
+        return true;
+    }
+
+    /**
+     * @dev Flag oracle scores that disagree with a manually assigned one so the manual
+     *      value can be reviewed
+     */
+    function _flagRiskDivergence(address protocol) internal {
+        uint256 manualScore = protocolRiskScores[protocol];
+        if (manualScore == 0) return;
+
+        (bool available, uint256 oracleScore) = _oracleRiskScore(protocol);
+        if (available && manualScore != oracleScore) {
+            emit RiskScoreDivergence(protocol, manualScore, oracleScore);
+        }
+    }
+
+    /**
+     * @dev Record a blocked transfer and pause or blacklist the user once a threshold is reached
+     */
+    function _recordViolation(address user, address token, address protocol, ReasonCode reason) internal {
+        violationHistory[user].push(Violation(uint64(block.timestamp), reason, protocol, token));
+
+        uint256 blacklistThreshold = autoBlacklistThreshold;
+        uint256 pauseThreshold = autoPauseThreshold;
+        uint256 limit = blacklistThreshold > pauseThreshold ? blacklistThreshold : pauseThreshold;
+        if (limit == 0) return;
+
+        uint256 violations = _recentViolations(user, limit);
+        if (blacklistThreshold != 0 && violations >= blacklistThreshold) {
+            _blacklist(user, BlacklistReason.REPEATED_VIOLATIONS, address(this), 0);
+            emit UserAutoBlacklisted(user, violations);
+        } else if (pauseThreshold != 0 && violations >= pauseThreshold) {
+            userPolicies[user].active = false;
+            userPaused[user] = true;
+            _recordPolicyVersion(user);
+            emit UserAutoPaused(user, violations);
+        }
+    }
+
+    /**
+     * @dev Clear buckets that have left the rolling window since the last update
+     *      Bucket slot (h % 24) holds hour h - 24 until hour h is reached, so advancing
+     *      from lastUpdateHour to the current hour expires every slot in between
+     * @return currentHour Current bucket index
+     */
+    function _rollWindow(RollingWindow storage window) internal returns (uint256 currentHour) {
+        currentHour = block.timestamp / SPEND_BUCKET_DURATION;
+        uint256 lastHour = window.lastUpdateHour;
+        if (currentHour == lastHour) return currentHour;
+
+        uint256 elapsed = currentHour - lastHour;
+        if (elapsed > SPEND_BUCKET_COUNT) elapsed = SPEND_BUCKET_COUNT;
+
+        uint256 released;
+        for (uint256 i = 1; i <= elapsed;) {
+            uint256 slot = (lastHour + i) % SPEND_BUCKET_COUNT;
+            released += window.hourly[slot];
+            window.hourly[slot] = 0;
+            unchecked {
+                ++i;
+            }
+        }
+
+        window.total -= released;
+        window.lastUpdateHour = currentHour;
+    }
+
+    /**
+     * @dev Add an amount to the current hour's bucket; the window must already be rolled
+     */
+    function _recordInWindow(RollingWindow storage window, uint256 currentHour, uint256 amount) internal {
+        window.hourly[currentHour % SPEND_BUCKET_COUNT] += amount;
+        window.total += amount;
+    }
+}
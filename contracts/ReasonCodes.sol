@@ -0,0 +1,103 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.19;
+
+/**
+ * @notice Machine-readable reasons why a transfer or route would be rejected
+ * @dev Shared by PolicyGuard (canTransfer, TransferBlocked) and StrategyRouter (canExecuteRoute).
+ *      Values are part of the public interface: append new codes, never reorder them
+ */
+enum ReasonCode {
+    NONE,
+    // PolicyGuard
+    GUARD_PAUSED,
+    USER_BLACKLISTED,
+    NO_ACTIVE_POLICY,
+    MAX_TRANSFER_AMOUNT,
+    COOLDOWN_ACTIVE,
+    TRANSFER_COUNT_LIMIT,
+    DAILY_LIMIT,
+    NOT_WHITELISTED,
+    USER_PROTOCOL_LIST,
+    RISK_TOO_HIGH,
+    EXPOSURE_LIMIT,
+    CATEGORY_EXPOSURE_LIMIT,
+    // StrategyRouter
+    ROUTER_PAUSED,
+    EMPTY_ROUTES,
+    INTENT_NOT_ACTIVE,
+    SOURCE_NOT_REGISTERED,
+    DESTINATION_NOT_REGISTERED,
+    INSUFFICIENT_BALANCE,
+    // PolicyGuard sanctions screening
+    SANCTIONED_USER,
+    SANCTIONED_RECIPIENT,
+    // PolicyGuard platform-wide caps
+    GLOBAL_EXPOSURE_LIMIT,
+    // PolicyGuard USD limits
+    USD_DAILY_LIMIT,
+    PRICE_UNAVAILABLE,
+    // StrategyRouter liquidity reserve
+    LIQUIDITY_RESERVE,
+    // StrategyRouter route assets
+    ASSET_MISMATCH
+}
+
+/**
+ * @title ReasonCodes
+ * @author NeoMesh Team
+ * @notice Helpers for collecting several ReasonCodes in a uint256 bitmask
+ * @dev Bit n of a mask is set when ReasonCode(n) applies
+ * @custom:security-contact security@neomesh.io
+ */
+library ReasonCodes {
+    /**
+     * @notice Add a reason to a mask
+     * @param mask Existing mask
+     * @param code Reason to add
+     * @return Mask including code
+     */
+    function add(uint256 mask, ReasonCode code) internal pure returns (uint256) {
+        return mask | (1 << uint8(code));
+    }
+
+    /**
+     * @notice Lowest reason in a mask
+     * @param mask Reason mask
+     * @return Lowest set reason, NONE for an empty mask
+     */
+    function first(uint256 mask) internal pure returns (ReasonCode) {
+        if (mask == 0) return ReasonCode.NONE;
+
+        uint8 code;
+        while (mask & (1 << code) == 0) {
+            unchecked {
+                ++code;
+            }
+        }
+        return ReasonCode(code);
+    }
+
+    /**
+     * @notice Expand a mask into the reasons it contains
+     * @param mask Reason mask
+     * @return reasons Set reasons in ascending order
+     */
+    function toArray(uint256 mask) internal pure returns (ReasonCode[] memory reasons) {
+        uint256 count;
+        for (uint256 bits = mask; bits != 0; bits >>= 1) {
+            if (bits & 1 != 0) ++count;
+        }
+
+        reasons = new ReasonCode[](count);
+        uint256 index;
+        for (uint8 code; index < count;) {
+            if (mask & (1 << code) != 0) {
+                reasons[index] = ReasonCode(code);
+                ++index;
+            }
+            unchecked {
+                ++code;
+            }
+        }
+    }
+}
@@ -1,20 +1,20 @@
 // SPDX-License-Identifier: MIT
 pragma solidity 0.8.19;
 
+import "./AccessRoles.sol";
+
 /**
  * @title SafeExecutor
  * @author NeoMesh Team
  * @notice Module for Gnosis Safe execution with multi-sig fallback options
  * @dev Execution contract for multi-sig ready Safe module integration
  */
-contract SafeExecutor {
+contract SafeExecutor is AccessRoles {
     // ============ Custom Errors ============
 
-    error NotOwner();
     error NotRouter();
     error NotSigner();
     error SafeNotRegistered();
-    error ZeroAddress();
     error InvalidThreshold();
     error NoSigners();
     error InvalidDelay();
@@ -24,11 +24,12 @@ contract SafeExecutor {
     error AlreadyConfirmed();
     error NotEnoughConfirmations();
     error DelayNotPassed();
+    error IsPaused();
 
     // ============ State Variables ============
 
-    address public owner;
     address public strategyRouter;
+    bool public paused;
 
     mapping(address => bool) public registeredSafes;
     mapping(bytes32 => Transaction) public pendingTransactions;
@@ -68,16 +69,19 @@ contract SafeExecutor {
     event TransactionExecuted(bytes32 indexed txHash, address indexed safe, bool success);
     event TransactionCancelledEvent(bytes32 indexed txHash, address indexed safe);
     event EmergencyExecuted(address indexed safe, address indexed to, uint256 value);
+    event ExecutorPaused(string reason);
+    event ExecutorUnpaused();
+    event StrategyRouterUpdated(address indexed oldRouter, address indexed newRouter);
 
     // ============ Modifiers ============
 
-    modifier onlyOwner() {
-        if (msg.sender != owner) revert NotOwner();
+    modifier onlyRouter() {
+        if (msg.sender != strategyRouter) revert NotRouter();
         _;
     }
 
-    modifier onlyRouter() {
-        if (msg.sender != strategyRouter) revert NotRouter();
+    modifier whenNotPaused() {
+        if (paused) revert IsPaused();
         _;
     }
 
@@ -89,7 +93,6 @@ contract SafeExecutor {
     // ============ Constructor ============
 
     constructor(address _strategyRouter) {
-        owner = msg.sender;
         strategyRouter = _strategyRouter;
     }
 
@@ -142,7 +145,7 @@ contract SafeExecutor {
         address to,
         uint256 value,
         bytes calldata data
-    ) external onlyRouter onlyRegisteredSafe(safe) returns (bytes32 txHash) {
+    ) external onlyRouter whenNotPaused onlyRegisteredSafe(safe) returns (bytes32 txHash) {
         SafeConfig storage config = safeConfigs[safe];
 
         txHash = keccak256(abi.encodePacked(safe, to, value, data, block.timestamp));
@@ -189,7 +192,7 @@ contract SafeExecutor {
      * @param txHash Hash of the transaction to execute
      * @return success Whether execution succeeded
      */
-    function executeTransaction(bytes32 txHash) external returns (bool success) {
+    function executeTransaction(bytes32 txHash) external whenNotPaused returns (bool success) {
         Transaction storage txn = pendingTransactions[txHash];
 
         if (txn.executed) revert AlreadyExecuted();
@@ -219,6 +222,36 @@ contract SafeExecutor {
         emit TransactionCancelledEvent(txHash, txn.safe);
     }
 
+    // ============ Admin Functions ============
+
+    /**
+     * @notice Pause queueing and execution of Safe transactions
+     * @param reason Reason for pausing
+     */
+    function pause(string calldata reason) external onlyRole(GUARDIAN_ROLE) {
+        paused = true;
+        emit ExecutorPaused(reason);
+    }
+
+    /**
+     * @notice Unpause queueing and execution of Safe transactions
+     */
+    function unpause() external onlyRole(ADMIN_ROLE) {
+        paused = false;
+        emit ExecutorUnpaused();
+    }
+
+    /**
+     * @notice Update the router allowed to queue transactions
+     * @param router New StrategyRouter address
+     */
+    function setStrategyRouter(address router) external onlyRole(ADMIN_ROLE) {
+        if (router == address(0)) revert ZeroAddress();
+        address oldRouter = strategyRouter;
+        strategyRouter = router;
+        emit StrategyRouterUpdated(oldRouter, router);
+    }
+
     // ============ View Functions ============
 
     /**
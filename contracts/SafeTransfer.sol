@@ -0,0 +1,47 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.19;
+
+import "./interfaces/IERC20.sol";
+
+/**
+ * @title SafeTransfer
+ * @author NeoMesh Team
+ * @notice ERC-20 transfers that revert instead of failing silently
+ * @dev Accepts tokens that return false, true or nothing (e.g. USDT) and treats
+ *      a false return or a token address without code as a failed transfer
+ * @custom:security-contact security@neomesh.io
+ */
+library SafeTransfer {
+    error TransferFailed();
+
+    /**
+     * @notice Transfer tokens held by this contract
+     * @param token ERC-20 token
+     * @param to Recipient
+     * @param amount Amount to transfer
+     */
+    function safeTransfer(address token, address to, uint256 amount) internal {
+        _callToken(token, abi.encodeCall(IERC20.transfer, (to, amount)));
+    }
+
+    /**
+     * @notice Transfer tokens using an allowance granted to this contract
+     * @param token ERC-20 token
+     * @param from Token owner
+     * @param to Recipient
+     * @param amount Amount to transfer
+     */
+    function safeTransferFrom(address token, address from, address to, uint256 amount) internal {
+        _callToken(token, abi.encodeCall(IERC20.transferFrom, (from, to, amount)));
+    }
+
+    function _callToken(address token, bytes memory data) private {
+        // solhint-disable-next-line avoid-low-level-calls
+        (bool success, bytes memory returndata) = token.call(data);
+
+        // An empty return is only acceptable from a contract; calls to other accounts always succeed
+        bool ok = success &&
+            (returndata.length == 0 ? token.code.length != 0 : abi.decode(returndata, (bool)));
+        if (!ok) revert TransferFailed();
+    }
+}
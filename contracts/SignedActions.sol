@@ -0,0 +1,106 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.19;
+
+import "./interfaces/IERC1271.sol";
+
+/**
+ * @title SignedActions
+ * @author NeoMesh Team
+ * @notice EIP-712 signed actions with per-signer nonces and deadlines, for relayed (gasless) calls
+ * @dev Externally owned accounts sign with ECDSA; contract accounts are asked via ERC-1271.
+ *      The domain separator is derived on every call rather than cached, so it stays bound to
+ *      the calling contract when the verifying code runs through delegatecall
+ */
+abstract contract SignedActions {
+    // ============ Constants ============
+
+    bytes32 private constant DOMAIN_TYPEHASH =
+        keccak256("EIP712Domain(string name,string version,uint256 chainId,address verifyingContract)");
+    // Upper bound for s in non-malleable ECDSA signatures (secp256k1n / 2)
+    uint256 private constant MAX_SIGNATURE_S = 0x7FFFFFFFFFFFFFFFFFFFFFFFFFFFFFFF5D576E7357A4501DDFE92F46681B20A0;
+
+    // ============ Custom Errors ============
+
+    error SignatureExpired();
+    error InvalidSignature();
+
+    // ============ State Variables ============
+
+    mapping(address => uint256) public nonces; // next nonce a signer's action must use
+
+    // ============ View Functions ============
+
+    /**
+     * @notice EIP-712 domain separator signed actions are bound to
+     * @return Domain separator for this contract on the current chain
+     */
+    // solhint-disable-next-line func-name-mixedcase
+    function DOMAIN_SEPARATOR() public view returns (bytes32) {
+        (string memory name, string memory version) = _domainNameAndVersion();
+        return keccak256(
+            abi.encode(DOMAIN_TYPEHASH, keccak256(bytes(name)), keccak256(bytes(version)), block.chainid, address(this))
+        );
+    }
+
+    // ============ Internal Functions ============
+
+    /**
+     * @dev EIP-712 domain name and version of the inheriting contract
+     */
+    function _domainNameAndVersion() internal pure virtual returns (string memory name, string memory version);
+
+    /**
+     * @dev Return the signer's current nonce and advance it, so each signature is accepted once
+     */
+    function _useNonce(address signer) internal returns (uint256 nonce) {
+        nonce = nonces[signer];
+        unchecked {
+            nonces[signer] = nonce + 1;
+        }
+    }
+
+    /**
+     * @dev Revert unless signer signed structHash before deadline
+     * @param structHash EIP-712 hash of the action, including the nonce from _useNonce
+     */
+    function _verifySignature(
+        address signer,
+        bytes32 structHash,
+        uint256 deadline,
+        bytes calldata signature
+    ) internal view {
+        if (block.timestamp > deadline) revert SignatureExpired();
+
+        bytes32 digest = keccak256(abi.encodePacked("\x19\x01", DOMAIN_SEPARATOR(), structHash));
+        if (!_isValidSignature(signer, digest, signature)) revert InvalidSignature();
+    }
+
+    function _isValidSignature(
+        address signer,
+        bytes32 digest,
+        bytes calldata signature
+    ) private view returns (bool) {
+        if (signer.code.length != 0) {
+            (bool success, bytes memory result) = signer.staticcall(
+                abi.encodeCall(IERC1271.isValidSignature, (digest, signature))
+            );
+            return success && result.length >= 32 && abi.decode(result, (bytes32)) ==
+                bytes32(IERC1271.isValidSignature.selector);
+        }
+
+        if (signature.length != 65) return false;
+
+        bytes32 r;
+        bytes32 s;
+        uint8 v;
+        assembly ("memory-safe") {
+            r := calldataload(signature.offset)
+            s := calldataload(add(signature.offset, 32))
+            v := byte(0, calldataload(add(signature.offset, 64)))
+        }
+        if (uint256(s) > MAX_SIGNATURE_S) return false;
+
+        address recovered = ecrecover(digest, v, r, s);
+        return recovered != address(0) && recovered == signer;
+    }
+}
@@ -1,144 +1,37 @@
 // SPDX-License-Identifier: MIT
 pragma solidity 0.8.19;
 
-import "./interfaces/IAdapter.sol";
-import "./PolicyGuard.sol";
+import "./interfaces/IStrategyRouter.sol";
+import "./ReasonCodes.sol";
+import "./StrategyRouterStorage.sol";
 
 /**
  * @title StrategyRouter
  * @author NeoMesh Team
  * @notice Routes capital between connected adapters based on defined intents and gas costs
- * @dev Core contract for intent-based fund allocation across DeFi protocols
+ * @dev Core contract for intent-based fund allocation across DeFi protocols. Keeper
+ *      rebalancing is implemented in StrategyRouterKeeper and executed in this contract's storage
  * @custom:security-contact security@neomesh.io
  * @custom:version 1.0.0
  */
-contract StrategyRouter {
-    // ============ Constants ============
-
-    uint256 public constant MAX_REALISTIC_APY = 5000; // 50% APY maximum
-    uint256 public constant MAX_RISK_SCORE = 10;
-    uint256 public constant MIN_RISK_SCORE = 1;
-    string public constant VERSION = "1.0.0";
-
-    // ============ Custom Errors ============
-
-    error NotOwner();
-    error IntentNotActive();
-    error NotIntentOwner();
-    error InvalidRiskLevel();
-    error UnrealisticAPY();
-    error InvalidAdapter();
-    error PolicyViolation();
-    error GasLimitExceeded();
-    error ZeroAddress();
-    error AlreadyRegistered();
-    error EmptyRoutes();
-    error InsufficientBalance();
-    error WithdrawFailed();
-    error DepositFailed();
-    error IsPaused();
-    error UserBlacklisted();
-    error AdapterHasFunds();
-    error AdapterNotRegistered();
-    error GasCalculationOverflow();
-    error SlippageExceeded();
-    error InvalidLiquidityReserve();
-    error InvalidMaxGasCost();
-
-    // ============ State Variables ============
-
-    address public owner;
-    PolicyGuard public policyGuard;
-    bool public paused;
-
-    mapping(bytes32 => Intent) public intents;
-    mapping(address => bool) public registeredAdapters;
-    address[] public adapters;
-
-    // ============ Structs ============
-
-    struct Intent {
-        bytes32 id;
-        address user;
-        uint256 targetAPY;
-        uint256 maxRisk;
-        uint256 liquidityReserve;
-        uint256 maxGasCost;
-        bool active;
-    }
-
-    struct RouteParams {
-        address fromAdapter;
-        address toAdapter;
-        uint256 amount;
-        uint256 minReceived; // Slippage protection
-        bytes data;
-    }
-
-    // ============ Events ============
-
-    event IntentCreated(
-        bytes32 indexed intentId,
-        address indexed user,
-        uint256 targetAPY,
-        uint256 maxRisk
-    );
-    event IntentUpdated(
-        bytes32 indexed intentId,
-        uint256 newTargetAPY,
-        uint256 newMaxRisk,
-        uint256 newLiquidityReserve,
-        uint256 newMaxGasCost
-    );
-    event IntentDeactivated(bytes32 indexed intentId, address indexed user);
-    event FundsRouted(
-        bytes32 indexed intentId,
-        address indexed from,
-        address indexed to,
-        uint256 amountRequested,
-        uint256 amountWithdrawn,
-        uint256 amountDeposited,
-        uint256 gasUsed
-    );
-    event AdapterRegistered(address indexed adapter, string protocol);
-    event AdapterRemoved(address indexed adapter, string reason);
-    event RouterPaused(string reason);
-    event RouterUnpaused();
-    event GasLimitExceededWarning(
-        bytes32 indexed intentId,
-        uint256 actualCost,
-        uint256 maxCost
-    );
-    event OwnershipTransferred(address indexed previousOwner, address indexed newOwner);
-
-    // ============ Modifiers ============
-
-    modifier onlyOwner() {
-        if (msg.sender != owner) revert NotOwner();
-        _;
-    }
-
-    modifier onlyValidIntent(bytes32 intentId) {
-        Intent storage intent = intents[intentId];
-        if (!intent.active) revert IntentNotActive();
-        if (intent.user != msg.sender) revert NotIntentOwner();
-        
-        // Check if user is blacklisted in PolicyGuard
-        if (policyGuard.isUserBlacklisted(intent.user)) revert UserBlacklisted();
-        _;
-    }
+contract StrategyRouter is StrategyRouterStorage, IStrategyRouter {
+    using ReasonCodes for uint256;
+    using SafeTransfer for address;
 
-    modifier whenNotPaused() {
-        if (paused) revert IsPaused();
-        _;
-    }
+    // ============ Immutables ============
+
+    address public immutable KEEPER_MODULE; // StrategyRouterKeeper, called via delegatecall
 
     // ============ Constructor ============
 
-    constructor(address _policyGuard) {
-        if (_policyGuard == address(0)) revert ZeroAddress();
-        owner = msg.sender;
+    /**
+     * @param _policyGuard PolicyGuard the router validates transfers with
+     * @param keeperModule Deployed StrategyRouterKeeper
+     */
+    constructor(address _policyGuard, address keeperModule) {
+        if (_policyGuard == address(0) || keeperModule == address(0)) revert ZeroAddress();
         policyGuard = PolicyGuard(_policyGuard);
+        KEEPER_MODULE = keeperModule;
     }
 
     // ============ External Functions ============
@@ -157,30 +50,56 @@ contract StrategyRouter {
         uint256 liquidityReserve,
         uint256 maxGasCost
     ) external whenNotPaused returns (bytes32 intentId) {
-        if (maxRisk < MIN_RISK_SCORE || maxRisk > MAX_RISK_SCORE) revert InvalidRiskLevel();
-        if (targetAPY > MAX_REALISTIC_APY) revert UnrealisticAPY();
-        
-        // Check if user is blacklisted
-        if (policyGuard.isUserBlacklisted(msg.sender)) revert UserBlacklisted();
-
-        // Generate unique intent ID
-        intentId = keccak256(abi.encodePacked(msg.sender, block.timestamp, targetAPY, maxRisk));
+        return _createIntent(msg.sender, targetAPY, maxRisk, liquidityReserve, maxGasCost);
+    }
 
-        intents[intentId] = Intent({
-            id: intentId,
-            user: msg.sender,
-            targetAPY: targetAPY,
-            maxRisk: maxRisk,
-            liquidityReserve: liquidityReserve,
-            maxGasCost: maxGasCost,
-            active: true
-        });
+    /**
+     * @notice Create an intent whose liquidity reserve covers a number of months of spending
+     * @dev The reserve is monthlyAmount * months. With trackOutflows, withdrawals adjust the
+     *      monthly estimate every EXPENSE_PERIOD (see setExpenseTarget)
+     * @param targetAPY Target annual percentage yield in basis points
+     * @param maxRisk Maximum risk tolerance (1-10)
+     * @param monthlyAmount Expected monthly spend in the intent's asset
+     * @param months Months of spend to keep liquid (1-120)
+     * @param trackOutflows Whether to adjust monthlyAmount from actual withdrawals
+     * @param maxGasCost Maximum gas cost per rebalance operation in wei
+     * @return intentId The unique identifier for the created intent
+     */
+    function createExpenseIntent(
+        uint256 targetAPY,
+        uint256 maxRisk,
+        uint256 monthlyAmount,
+        uint256 months,
+        bool trackOutflows,
+        uint256 maxGasCost
+    ) external whenNotPaused returns (bytes32 intentId) {
+        intentId = _createIntent(msg.sender, targetAPY, maxRisk, 0, maxGasCost);
+        _setExpenseTarget(intentId, monthlyAmount, months, trackOutflows);
+    }
 
-        emit IntentCreated(intentId, msg.sender, targetAPY, maxRisk);
+    /**
+     * @notice Size an intent's liquidity reserve in months of spending
+     * @dev Replaces the current reserve with monthlyAmount * months and starts a new outflow
+     *      period. With trackOutflows, each completed EXPENSE_PERIOD moves the monthly estimate
+     *      halfway towards that period's withdrawals (periods without withdrawals count as
+     *      zero). Periods are settled on the next withdrawal
+     * @param intentId The intent to update
+     * @param monthlyAmount Expected monthly spend in the intent's asset
+     * @param months Months of spend to keep liquid (1-120)
+     * @param trackOutflows Whether to adjust monthlyAmount from actual withdrawals
+     */
+    function setExpenseTarget(
+        bytes32 intentId,
+        uint256 monthlyAmount,
+        uint256 months,
+        bool trackOutflows
+    ) external onlyValidIntent(intentId) {
+        _setExpenseTarget(intentId, monthlyAmount, months, trackOutflows);
     }
 
     /**
      * @notice Update an existing intent
+     * @dev Setting liquidityReserve turns a "months of expenses" intent back into a fixed reserve
      * @param intentId The intent to update
      * @param targetAPY New target APY in basis points
      * @param maxRisk New maximum risk level (1-10)
@@ -194,16 +113,7 @@ contract StrategyRouter {
         uint256 liquidityReserve,
         uint256 maxGasCost
     ) external onlyValidIntent(intentId) {
-        if (maxRisk < MIN_RISK_SCORE || maxRisk > MAX_RISK_SCORE) revert InvalidRiskLevel();
-        if (targetAPY > MAX_REALISTIC_APY) revert UnrealisticAPY();
-
-        Intent storage intent = intents[intentId];
-        intent.targetAPY = targetAPY;
-        intent.maxRisk = maxRisk;
-        intent.liquidityReserve = liquidityReserve;
-        intent.maxGasCost = maxGasCost;
-
-        emit IntentUpdated(intentId, targetAPY, maxRisk, liquidityReserve, maxGasCost);
+        _updateIntent(intentId, targetAPY, maxRisk, liquidityReserve, maxGasCost);
     }
 
     /**
@@ -211,13 +121,118 @@ contract StrategyRouter {
      * @param intentId The intent to deactivate
      */
     function deactivateIntent(bytes32 intentId) external onlyValidIntent(intentId) {
-        intents[intentId].active = false;
-        emit IntentDeactivated(intentId, msg.sender);
+        _deactivateIntent(intentId);
+    }
+
+    // ============ Signed Actions ============
+
+    /**
+     * @notice Create an intent for a user who signed it off-chain, so a relayer can pay the gas
+     * @dev The user signs a CreateIntent EIP-712 message with their current nonce. Contract
+     *      accounts such as Safes are verified through ERC-1271
+     * @param user Intent owner and signer
+     * @param targetAPY Target annual percentage yield in basis points
+     * @param maxRisk Maximum risk tolerance (1-10)
+     * @param liquidityReserve Amount to keep liquid for immediate access
+     * @param maxGasCost Maximum gas cost per rebalance operation in wei
+     * @param deadline Timestamp after which the signature is no longer accepted
+     * @param signature ECDSA signature, or ERC-1271 signature data for contract accounts
+     * @return intentId The unique identifier for the created intent
+     */
+    function createIntentWithSig(
+        address user,
+        uint256 targetAPY,
+        uint256 maxRisk,
+        uint256 liquidityReserve,
+        uint256 maxGasCost,
+        uint256 deadline,
+        bytes calldata signature
+    ) external whenNotPaused returns (bytes32 intentId) {
+        bytes32 structHash = keccak256(
+            abi.encode(
+                CREATE_INTENT_TYPEHASH,
+                user,
+                targetAPY,
+                maxRisk,
+                liquidityReserve,
+                maxGasCost,
+                _useNonce(user),
+                deadline
+            )
+        );
+        _verifySignature(user, structHash, deadline, signature);
+
+        return _createIntent(user, targetAPY, maxRisk, liquidityReserve, maxGasCost);
+    }
+
+    /**
+     * @notice Update an intent for a user who signed the update off-chain
+     * @param user Intent owner and signer
+     * @param intentId The intent to update
+     * @param targetAPY New target APY in basis points
+     * @param maxRisk New maximum risk level (1-10)
+     * @param liquidityReserve New liquidity reserve amount
+     * @param maxGasCost New maximum gas cost in wei
+     * @param deadline Timestamp after which the signature is no longer accepted
+     * @param signature ECDSA signature, or ERC-1271 signature data for contract accounts
+     */
+    function updateIntentWithSig(
+        address user,
+        bytes32 intentId,
+        uint256 targetAPY,
+        uint256 maxRisk,
+        uint256 liquidityReserve,
+        uint256 maxGasCost,
+        uint256 deadline,
+        bytes calldata signature
+    ) external {
+        _checkIntent(intentId, user);
+
+        bytes32 structHash = keccak256(
+            abi.encode(
+                UPDATE_INTENT_TYPEHASH,
+                user,
+                intentId,
+                targetAPY,
+                maxRisk,
+                liquidityReserve,
+                maxGasCost,
+                _useNonce(user),
+                deadline
+            )
+        );
+        _verifySignature(user, structHash, deadline, signature);
+
+        _updateIntent(intentId, targetAPY, maxRisk, liquidityReserve, maxGasCost);
+    }
+
+    /**
+     * @notice Deactivate an intent for a user who signed the deactivation off-chain
+     * @param user Intent owner and signer
+     * @param intentId The intent to deactivate
+     * @param deadline Timestamp after which the signature is no longer accepted
+     * @param signature ECDSA signature, or ERC-1271 signature data for contract accounts
+     */
+    function deactivateIntentWithSig(
+        address user,
+        bytes32 intentId,
+        uint256 deadline,
+        bytes calldata signature
+    ) external {
+        _checkIntent(intentId, user);
+
+        bytes32 structHash = keccak256(
+            abi.encode(DEACTIVATE_INTENT_TYPEHASH, user, intentId, _useNonce(user), deadline)
+        );
+        _verifySignature(user, structHash, deadline, signature);
+
+        _deactivateIntent(intentId);
     }
 
     /**
      * @notice Execute optimal routing based on intent parameters
-     * @dev Routes funds between adapters according to the intent's strategy
+     * @dev Routes funds between adapters according to the intent's strategy. Each leg is
+     *      validated with PolicyGuard; if one is rejected the whole route reverts with PolicyViolation
      * @param intentId The intent to execute
      * @param routes Array of routing instructions
      */
@@ -241,54 +256,28 @@ contract StrategyRouter {
             uint256 balanceBefore = IAdapter(route.fromAdapter).getUserBalance(intent.user);
             if (balanceBefore < route.amount) revert InsufficientBalance();
 
-            // Validate against policy constraints
-            if (!policyGuard.validateTransfer(intent.user, route.toAdapter, route.amount)) {
-                revert PolicyViolation();
+            // Funds move as tokens, so both legs must hold the same asset
+            address asset = IAdapter(route.toAdapter).asset();
+            if (IAdapter(route.fromAdapter).asset() != asset) revert AssetMismatch();
+
+            // Moving funds out of the liquid adapters must leave the reserves of the owner's intents
+            // in the asset in place, whichever of them the route runs under
+            if (liquidAdapters[route.fromAdapter] && !liquidAdapters[route.toAdapter]) {
+                uint256 liquid = _liquidPosition(intent.user, asset);
+                if (liquid < route.amount || liquid - route.amount < _requiredReserve(intent.user, asset)) {
+                    revert LiquidityReserveBreached();
+                }
             }
 
-            // Execute withdrawal from source adapter
-            uint256 withdrawn = IAdapter(route.fromAdapter).withdraw(
-                intent.user,
-                route.amount,
-                route.data
-            );
-            if (withdrawn == 0) revert WithdrawFailed();
-
-            // Execute deposit to destination adapter (use actual withdrawn amount)
-            uint256 deposited = IAdapter(route.toAdapter).deposit(
-                intent.user,
-                withdrawn,
-                route.data
-            );
-            if (deposited == 0) revert DepositFailed();
-
-            // Slippage protection - ensure minimum received amount
-            if (deposited < route.minReceived) revert SlippageExceeded();
-
-            emit FundsRouted(
-                intentId,
-                route.fromAdapter,
-                route.toAdapter,
-                route.amount,
-                withdrawn,
-                deposited,
-                gasStart - gasleft()
-            );
+            // Validate against policy constraints; a rejected leg undoes the whole route
+            if (!_routeFunds(intentId, i, intent.user, asset, route, gasStart)) revert PolicyViolation();
 
             unchecked {
                 ++i;
             }
         }
 
-        // Gas limit check with overflow protection
-        uint256 gasUsed = gasStart - gasleft();
-        uint256 gasCost;
-        
-        unchecked {
-            gasCost = gasUsed * tx.gasprice;
-            // Check for overflow: if gasCost / tx.gasprice != gasUsed, overflow occurred
-            if (gasCost / tx.gasprice != gasUsed) revert GasCalculationOverflow();
-        }
+        uint256 gasCost = _gasCost(gasStart);
 
         // Soft limit - emit warning instead of reverting to avoid wasting user gas
         if (gasCost > intent.maxGasCost) {
@@ -296,12 +285,126 @@ contract StrategyRouter {
         }
     }
 
+    /**
+     * @notice Deposit ERC-20 tokens from the intent owner into an adapter
+     * @dev The first deposit binds the intent to token. Unlike a route, a deposit PolicyGuard
+     *      rejects does not revert: it emits DepositBlocked, moves no tokens and returns 0
+     *      so PolicyGuard keeps the violation on record
+     * @param intentId Intent the deposit is made for
+     * @param token ERC-20 token to deposit, pulled from the caller (requires an allowance)
+     * @param amount Amount to deposit
+     * @param adapter Registered adapter whose asset is token, or address(0) to keep the
+     *        tokens idle in the router as part of the liquidity reserve (the owner is still
+     *        screened for sanctions and must hold an active policy)
+     * @return shares Shares the adapter issued (amount for idle deposits), 0 if the deposit was blocked
+     */
+    function depositToIntent(
+        bytes32 intentId,
+        address token,
+        uint256 amount,
+        address adapter
+    ) external onlyValidIntent(intentId) whenNotPaused returns (uint256 shares) {
+        if (amount == 0) revert ZeroAmount();
+        if (token == address(0)) revert AssetMismatch();
+        if (adapter != address(0)) {
+            if (!registeredAdapters[adapter]) revert InvalidAdapter();
+            if (IAdapter(adapter).asset() != token) revert AssetMismatch();
+        }
+
+        Intent storage intent = intents[intentId];
+        if (intent.asset == address(0)) {
+            intent.asset = token;
+        } else if (intent.asset != token) {
+            revert AssetMismatch();
+        }
+
+        // Idle funds stay with the router, so there is no protocol for PolicyGuard to check, but
+        // the owner must still pass sanctions screening and hold an active policy
+        if (adapter == address(0)) {
+            if (policyGuard.isSanctioned(msg.sender)) revert UserSanctioned();
+            if (!policyGuard.getPolicy(msg.sender).active) revert NoActivePolicy();
+
+            token.safeTransferFrom(msg.sender, address(this), amount);
+            idleBalances[msg.sender][token] += amount;
+            emit FundsDeposited(intentId, address(0), token, amount, amount);
+            return amount;
+        }
+
+        if (!policyGuard.validateDeposit(msg.sender, token, adapter, amount)) {
+            emit DepositBlocked(intentId, adapter, amount);
+            return 0;
+        }
+
+        // Tokens go straight to the adapter, which then credits the user
+        token.safeTransferFrom(msg.sender, adapter, amount);
+        shares = IAdapter(adapter).deposit(msg.sender, amount, "");
+
+        emit FundsDeposited(intentId, adapter, token, amount, shares);
+    }
+
+    /**
+     * @notice Withdraw an intent's asset from the adapters and send it to a recipient
+     * @dev The liquidity reserve is drawn on last: non-liquid adapters are drained first, then
+     *      liquid adapters (each in registration order), then idle funds. Balances are held per
+     *      user and asset, so this reaches every position of the owner in the intent's asset.
+     *      Deactivated intents can still withdraw so deactivation never strands funds. A withdrawal
+     *      to another address counts against the owner's PolicyGuard limits like a deposit; one
+     *      PolicyGuard rejects does not revert: it emits WithdrawalBlocked, moves no tokens and
+     *      returns 0. A withdrawal to the owner's own address is only screened for sanctions, so
+     *      a paused owner or one at their limits can still exit
+     * @param intentId Intent to withdraw from
+     * @param amount Amount to withdraw from the adapters
+     * @param recipient Address receiving the tokens, screened against PolicyGuard's sanctions list
+     * @return received Tokens sent to recipient after any adapter slippage
+     */
+    function withdrawFromIntent(
+        bytes32 intentId,
+        uint256 amount,
+        address recipient
+    ) external whenNotPaused returns (uint256 received) {
+        Intent storage intent = intents[intentId];
+        if (intent.user != msg.sender) revert NotIntentOwner();
+        if (policyGuard.isUserBlacklisted(msg.sender)) revert UserBlacklisted();
+        if (amount == 0) revert ZeroAmount();
+        if (recipient == address(0)) revert ZeroAddress();
+        if (policyGuard.isSanctioned(recipient)) revert RecipientSanctioned();
+
+        address asset = intent.asset;
+        if (asset == address(0)) revert InsufficientBalance();
+
+        // Funds returning to the owner are not a transfer out; the sanctions check above covers them
+        if (recipient != msg.sender && !policyGuard.validateWithdrawal(msg.sender, asset, recipient, amount)) {
+            emit WithdrawalBlocked(intentId, recipient, amount);
+            return 0;
+        }
+
+        uint256 remaining;
+        (received, remaining) = _withdrawFromAdapters(msg.sender, asset, amount, false);
+        if (remaining != 0) {
+            uint256 fromLiquid;
+            (fromLiquid, remaining) = _withdrawFromAdapters(msg.sender, asset, remaining, true);
+            received += fromLiquid;
+        }
+        if (remaining != 0) {
+            uint256 idle = idleBalances[msg.sender][asset];
+            if (idle < remaining) revert InsufficientBalance();
+            idleBalances[msg.sender][asset] = idle - remaining;
+            received += remaining;
+        }
+
+        if (intent.expenses.trackOutflows) _recordOutflow(intentId, intent, received);
+
+        asset.safeTransfer(recipient, received);
+
+        emit FundsWithdrawn(intentId, recipient, amount, received);
+    }
+
     /**
      * @notice Register a new protocol adapter
      * @param adapter Address of the adapter contract
      * @param protocol Name of the protocol (e.g., "Aave", "Uniswap")
      */
-    function registerAdapter(address adapter, string calldata protocol) external onlyOwner {
+    function registerAdapter(address adapter, string calldata protocol) external onlyRole(RISK_MANAGER_ROLE) {
         if (adapter == address(0)) revert ZeroAddress();
         if (registeredAdapters[adapter]) revert AlreadyRegistered();
 
@@ -311,12 +414,24 @@ contract StrategyRouter {
         emit AdapterRegistered(adapter, protocol);
     }
 
+    /**
+     * @notice Designate whether an adapter can hold intents' liquidity reserves
+     * @dev Liquid adapters should allow instant withdrawals, e.g. money markets without lockups
+     * @param adapter Registered adapter
+     * @param liquid Whether the adapter counts towards the liquidity reserve
+     */
+    function setLiquidAdapter(address adapter, bool liquid) external onlyRole(RISK_MANAGER_ROLE) {
+        if (!registeredAdapters[adapter]) revert AdapterNotRegistered();
+        liquidAdapters[adapter] = liquid;
+        emit LiquidAdapterUpdated(adapter, liquid);
+    }
+
     /**
      * @notice Remove an adapter (only if TVL is zero)
      * @dev Safety measure to prevent removing adapters with locked funds
      * @param adapter Address of the adapter to remove
      */
-    function removeAdapter(address adapter) external onlyOwner {
+    function removeAdapter(address adapter) external onlyRole(RISK_MANAGER_ROLE) {
         if (!registeredAdapters[adapter]) revert AdapterNotRegistered();
 
         // Check TVL is zero before removal
@@ -324,6 +439,7 @@ contract StrategyRouter {
         if (tvl > 0) revert AdapterHasFunds();
 
         registeredAdapters[adapter] = false;
+        liquidAdapters[adapter] = false;
 
         // Remove from array
         uint256 length = adapters.length;
@@ -345,7 +461,7 @@ contract StrategyRouter {
      * @notice Pause the router to prevent new intent creation and route execution
      * @param reason Reason for pausing (logged for transparency)
      */
-    function pause(string calldata reason) external onlyOwner {
+    function pause(string calldata reason) external onlyRole(GUARDIAN_ROLE) {
         paused = true;
         emit RouterPaused(reason);
     }
@@ -353,26 +469,16 @@ contract StrategyRouter {
     /**
      * @notice Unpause the router to resume normal operations
      */
-    function unpause() external onlyOwner {
+    function unpause() external onlyRole(ADMIN_ROLE) {
         paused = false;
         emit RouterUnpaused();
     }
 
-    /**
-     * @notice Transfer ownership of the router
-     * @param newOwner Address of the new owner
-     */
-    function transferOwnership(address newOwner) external onlyOwner {
-        if (newOwner == address(0)) revert ZeroAddress();
-        address oldOwner = owner;
-        owner = newOwner;
-        emit OwnershipTransferred(oldOwner, newOwner);
-    }
-
     /**
      * @notice Get optimal route for given parameters
-     * @dev Finds the best adapter based on APY-to-risk ratio
-     * @param intentId Intent identifier (reserved for future use)
+     * @dev Finds the best adapter based on APY-to-risk ratio. Once the intent is bound to an
+     *      asset by its first deposit, only adapters holding that asset are considered
+     * @param intentId Intent identifier
      * @param targetAPY Target APY in basis points
      * @param maxRisk Maximum acceptable risk level
      * @return bestAdapter Address of the best adapter
@@ -383,35 +489,27 @@ contract StrategyRouter {
         uint256 targetAPY,
         uint256 maxRisk
     ) external view returns (address bestAdapter, uint256 expectedAPY) {
-        // Silence unused variable warning (intentId reserved for future use)
-        intentId;
+        return _bestAdapter(intents[intentId].asset, targetAPY, maxRisk);
+    }
 
-        uint256 bestScore;
-        uint256 length = adapters.length;
+    // ============ Keeper Rebalancing ============
+    // Implemented in StrategyRouterKeeper; see it for the full behavior
 
-        for (uint256 i; i < length;) {
-            IAdapter adapter = IAdapter(adapters[i]);
-            uint256 apy = adapter.getCurrentAPY();
-            uint256 risk = adapter.getRiskScore();
-
-            // Check if adapter meets criteria
-            if (risk <= maxRisk && apy >= targetAPY) {
-                // Score formula: APY weighted by inverse risk
-                // Higher APY and lower risk yield higher scores
-                // Using (11 - risk) to give full weight to risk 1, minimal to risk 10
-                uint256 score = (apy * (11 - risk)) / 10;
-                
-                if (score > bestScore) {
-                    bestScore = score;
-                    bestAdapter = adapters[i];
-                    expectedAPY = apy;
-                }
-            }
+    /// @notice Let keepers rebalance an intent into the optimal adapter
+    function setAutoRebalance(bytes32, bool, uint256) external {
+        _delegateToKeeper();
+    }
 
-            unchecked {
-                ++i;
-            }
-        }
+    /// @notice Set the share of harvested yield paid to keepers
+    function setKeeperReward(uint256) external {
+        _delegateToKeeper();
+    }
+
+    /// @notice Move an opted-in intent's positions into the optimal adapter
+    /// @return Amount moved into the target adapter
+    /// @return Yield paid to the keeper
+    function rebalance(bytes32) external returns (uint256, uint256) {
+        _delegateToKeeper();
     }
 
     // ============ View Functions ============
@@ -425,6 +523,64 @@ contract StrategyRouter {
         return intents[intentId];
     }
 
+    /**
+     * @notice Get how much of an intent's asset is instantly withdrawable
+     * @dev Compare against getRequiredReserve for the owner and asset to see whether the reserves
+     *      of all their intents in the asset are funded
+     * @param intentId Intent identifier
+     * @return liquid Owner's idle funds plus balances in liquid adapters, in the intent's asset
+     */
+    function getLiquidPosition(bytes32 intentId) external view returns (uint256 liquid) {
+        Intent storage intent = intents[intentId];
+        return _liquidPosition(intent.user, intent.asset);
+    }
+
+    /**
+     * @notice Get the liquidity a user must keep in an asset
+     * @param user Intent owner
+     * @param asset Asset of the intents
+     * @return reserve Sum of the liquidity reserves of the user's active intents in asset
+     */
+    function getRequiredReserve(address user, address asset) external view returns (uint256 reserve) {
+        return _requiredReserve(user, asset);
+    }
+
+    /**
+     * @notice Get a page of a user's intents, active and deactivated, in creation order
+     * @param user Intent owner
+     * @param offset Index of the first intent to return
+     * @param limit Maximum number of intents to return
+     * @return intentIds Intent identifiers, empty once offset passes the end
+     */
+    function getUserIntents(address user, uint256 offset, uint256 limit)
+        external
+        view
+        returns (bytes32[] memory intentIds)
+    {
+        bytes32[] storage ids = userIntents[user];
+        if (offset >= ids.length) return new bytes32[](0);
+
+        uint256 count = ids.length - offset;
+        if (count > limit) count = limit;
+
+        intentIds = new bytes32[](count);
+        for (uint256 i; i < count;) {
+            intentIds[i] = ids[offset + i];
+            unchecked {
+                ++i;
+            }
+        }
+    }
+
+    /**
+     * @notice Get the number of intents a user has created
+     * @param user Intent owner
+     * @return Number of intents, including deactivated ones
+     */
+    function getUserIntentCount(address user) external view returns (uint256) {
+        return userIntents[user].length;
+    }
+
     /**
      * @notice Get all registered adapters
      * @return Array of adapter addresses
@@ -495,7 +651,7 @@ contract StrategyRouter {
      * @param adapter Adapter address
      * @return isRegistered Whether adapter is registered
      * @return currentAPY Current APY from the adapter
-     * @return riskScore Risk score of the adapter
+     * @return riskScore Risk score of the adapter (risk oracle score when PolicyGuard has a fresh one)
      * @return tvl Total value locked in the adapter
      */
     function getAdapterInfo(address adapter) 
@@ -513,13 +669,15 @@ contract StrategyRouter {
         if (isRegistered) {
             IAdapter adapterContract = IAdapter(adapter);
             currentAPY = adapterContract.getCurrentAPY();
-            riskScore = adapterContract.getRiskScore();
+            riskScore = _adapterRiskScore(adapter);
             tvl = adapterContract.getTVL();
         }
     }
 
     /**
      * @notice Get user's total balance across all adapters
+     * @dev Adds raw amounts, so it is only meaningful while every adapter holds the same asset.
+     *      PolicyGuard measures exposure per asset instead
      * @param user User address
      * @return totalBalance Sum of user's balances across all registered adapters
      */
@@ -571,57 +729,289 @@ contract StrategyRouter {
      * @param intentId Intent identifier
      * @param routes Array of routing instructions
      * @return canExecute Whether route can be executed
-     * @return reason Reason if execution would fail (empty if canExecute is true)
+     * @return code First failing check (NONE if canExecute is true)
+     * @return reason Human-readable form of code (empty if canExecute is true)
      */
     function canExecuteRoute(
         bytes32 intentId,
         RouteParams[] calldata routes
-    ) external view returns (bool canExecute, string memory reason) {
-        // Check if paused
-        if (paused) {
-            return (false, "Router is paused");
+    ) external view returns (bool canExecute, ReasonCode code, string memory reason) {
+        code = _checkRoute(intentId, routes, true).first();
+        return (code == ReasonCode.NONE, code, _reasonString(code));
+    }
+
+    /**
+     * @notice Run every route check instead of stopping at the first failure
+     * @dev Route checks are only evaluated for active intents; a code is reported once
+     *      even if several routes fail it
+     * @param intentId Intent identifier
+     * @param routes Array of routing instructions
+     * @return reasons Every failing check in ascending code order (empty if the route can be executed)
+     */
+    function getRouteViolations(
+        bytes32 intentId,
+        RouteParams[] calldata routes
+    ) external view returns (ReasonCode[] memory reasons) {
+        return _checkRoute(intentId, routes, false).toArray();
+    }
+
+    // ============ Internal Functions ============
+
+    /**
+     * @dev Run the current call in StrategyRouterKeeper against this contract's storage,
+     *      returning its return data or bubbling up its revert
+     */
+    function _delegateToKeeper() private {
+        address module = KEEPER_MODULE;
+        assembly ("memory-safe") {
+            let ptr := mload(0x40)
+            calldatacopy(ptr, 0, calldatasize())
+            let success := delegatecall(gas(), module, ptr, calldatasize(), 0, 0)
+            returndatacopy(ptr, 0, returndatasize())
+            if iszero(success) {
+                revert(ptr, returndatasize())
+            }
+            return(ptr, returndatasize())
+        }
+    }
+
+    function _createIntent(
+        address user,
+        uint256 targetAPY,
+        uint256 maxRisk,
+        uint256 liquidityReserve,
+        uint256 maxGasCost
+    ) internal returns (bytes32 intentId) {
+        if (maxRisk < MIN_RISK_SCORE || maxRisk > MAX_RISK_SCORE) revert InvalidRiskLevel();
+        if (targetAPY > MAX_REALISTIC_APY) revert UnrealisticAPY();
+
+        // Check if user is blacklisted
+        if (policyGuard.isUserBlacklisted(user)) revert UserBlacklisted();
+
+        // Derive the ID from the user's intent nonce so identical intents never collide
+        bytes32[] storage ids = userIntents[user];
+        intentId = keccak256(abi.encode(user, ids.length));
+        ids.push(intentId);
+
+        intents[intentId] = Intent({
+            id: intentId,
+            user: user,
+            targetAPY: targetAPY,
+            maxRisk: maxRisk,
+            liquidityReserve: liquidityReserve,
+            maxGasCost: maxGasCost,
+            active: true,
+            asset: address(0),
+            expenses: ExpenseTarget(0, 0, false, 0, 0)
+        });
+
+        emit IntentCreated(intentId, user, targetAPY, maxRisk);
+    }
+
+    function _updateIntent(
+        bytes32 intentId,
+        uint256 targetAPY,
+        uint256 maxRisk,
+        uint256 liquidityReserve,
+        uint256 maxGasCost
+    ) internal {
+        if (maxRisk < MIN_RISK_SCORE || maxRisk > MAX_RISK_SCORE) revert InvalidRiskLevel();
+        if (targetAPY > MAX_REALISTIC_APY) revert UnrealisticAPY();
+
+        Intent storage intent = intents[intentId];
+        intent.targetAPY = targetAPY;
+        intent.maxRisk = maxRisk;
+        intent.liquidityReserve = liquidityReserve;
+        intent.maxGasCost = maxGasCost;
+        if (intent.expenses.months != 0) delete intent.expenses;
+
+        emit IntentUpdated(intentId, targetAPY, maxRisk, liquidityReserve, maxGasCost);
+    }
+
+    function _setExpenseTarget(
+        bytes32 intentId,
+        uint256 monthlyAmount,
+        uint256 months,
+        bool trackOutflows
+    ) internal {
+        if (monthlyAmount == 0 || months == 0 || months > MAX_RESERVE_MONTHS) revert InvalidLiquidityReserve();
+
+        Intent storage intent = intents[intentId];
+        intent.expenses = ExpenseTarget({
+            monthlyAmount: monthlyAmount,
+            months: months,
+            trackOutflows: trackOutflows,
+            periodStart: block.timestamp,
+            periodOutflow: 0
+        });
+        intent.liquidityReserve = monthlyAmount * months;
+
+        emit ExpenseTargetUpdated(intentId, monthlyAmount, months, trackOutflows, intent.liquidityReserve);
+    }
+
+    /**
+     * @dev Add a withdrawal to the current outflow period, first settling any completed periods
+     *      into the monthly estimate and resizing the reserve
+     */
+    function _recordOutflow(bytes32 intentId, Intent storage intent, uint256 amount) internal {
+        ExpenseTarget storage expenses = intent.expenses;
+
+        uint256 elapsed = (block.timestamp - expenses.periodStart) / EXPENSE_PERIOD;
+        if (elapsed != 0) {
+            // Halfway towards the last period's outflow, then halved for every empty period after it
+            uint256 monthly = (expenses.monthlyAmount + expenses.periodOutflow) / 2;
+            monthly >>= elapsed - 1;
+
+            emit MonthlyExpensesAdjusted(intentId, expenses.periodOutflow, monthly, monthly * expenses.months);
+
+            expenses.monthlyAmount = monthly;
+            expenses.periodStart += elapsed * EXPENSE_PERIOD;
+            expenses.periodOutflow = 0;
+            intent.liquidityReserve = monthly * expenses.months;
         }
 
-        // Check if routes empty
+        expenses.periodOutflow += amount;
+    }
+
+    function _deactivateIntent(bytes32 intentId) internal {
+        intents[intentId].active = false;
+        emit IntentDeactivated(intentId, intents[intentId].user);
+    }
+
+    /**
+     * @dev Evaluate the route checks behind canExecuteRoute
+     * @param stopAtFirst Return on the first failure, skipping the remaining checks
+     * @return failures ReasonCodes mask of the failed checks, 0 if the route can be executed
+     */
+    function _checkRoute(
+        bytes32 intentId,
+        RouteParams[] calldata routes,
+        bool stopAtFirst
+    ) internal view returns (uint256 failures) {
+        if (paused) {
+            failures = failures.add(ReasonCode.ROUTER_PAUSED);
+            if (stopAtFirst) return failures;
+        }
         if (routes.length == 0) {
-            return (false, "Empty routes array");
+            failures = failures.add(ReasonCode.EMPTY_ROUTES);
+            if (stopAtFirst) return failures;
         }
 
+        // Without an active intent there is no user to check routes against
         Intent storage intent = intents[intentId];
-        
-        // Check if intent is active
-        if (!intent.active) {
-            return (false, "Intent not active");
-        }
+        if (!intent.active) return failures.add(ReasonCode.INTENT_NOT_ACTIVE);
 
-        // Check if user is blacklisted
         if (policyGuard.isUserBlacklisted(intent.user)) {
-            return (false, "User is blacklisted");
+            failures = failures.add(ReasonCode.USER_BLACKLISTED);
+            if (stopAtFirst) return failures;
         }
 
-        // Check each route
+        // Liquid position in liquidAsset as the routes so far would leave it and the reserve it
+        // must cover, read on first use and again whenever the routes switch assets
+        address liquidAsset;
+        uint256 liquid = type(uint256).max;
+        uint256 reserve;
+
         for (uint256 i; i < routes.length;) {
             RouteParams calldata route = routes[i];
+            bool fromRegistered = registeredAdapters[route.fromAdapter];
 
             // Check adapters are registered
-            if (!registeredAdapters[route.fromAdapter]) {
-                return (false, "Source adapter not registered");
+            if (!fromRegistered) {
+                failures = failures.add(ReasonCode.SOURCE_NOT_REGISTERED);
+                if (stopAtFirst) return failures;
             }
-            if (!registeredAdapters[route.toAdapter]) {
-                return (false, "Destination adapter not registered");
+            bool toRegistered = registeredAdapters[route.toAdapter];
+            if (!toRegistered) {
+                failures = failures.add(ReasonCode.DESTINATION_NOT_REGISTERED);
+                if (stopAtFirst) return failures;
             }
 
             // Check balance
-            uint256 balance = IAdapter(route.fromAdapter).getUserBalance(intent.user);
-            if (balance < route.amount) {
-                return (false, "Insufficient balance");
+            if (fromRegistered && IAdapter(route.fromAdapter).getUserBalance(intent.user) < route.amount) {
+                failures = failures.add(ReasonCode.INSUFFICIENT_BALANCE);
+                if (stopAtFirst) return failures;
+            }
+
+            // Check both adapters hold the same asset, since funds move between them as tokens
+            address asset = fromRegistered ? IAdapter(route.fromAdapter).asset() : address(0);
+            if (fromRegistered && toRegistered && IAdapter(route.toAdapter).asset() != asset) {
+                failures = failures.add(ReasonCode.ASSET_MISMATCH);
+                if (stopAtFirst) return failures;
+            }
+
+            // Check the owner's reserves in the asset for routes moving funds in or out of liquid adapters
+            bool fromLiquid = liquidAdapters[route.fromAdapter];
+            if (fromRegistered && fromLiquid != liquidAdapters[route.toAdapter]) {
+                if (liquid == type(uint256).max || asset != liquidAsset) {
+                    liquidAsset = asset;
+                    liquid = _liquidPosition(intent.user, asset);
+                    reserve = _requiredReserve(intent.user, asset);
+                }
+
+                if (!fromLiquid) {
+                    liquid += route.amount;
+                } else if (liquid < route.amount || liquid - route.amount < reserve) {
+                    failures = failures.add(ReasonCode.LIQUIDITY_RESERVE);
+                    if (stopAtFirst) return failures;
+                } else {
+                    liquid -= route.amount;
+                }
             }
 
             unchecked {
                 ++i;
             }
         }
+    }
 
-        return (true, "");
+    /**
+     * @dev Human-readable form of a StrategyRouter reason code, as returned by canExecuteRoute
+     */
+    function _reasonString(ReasonCode code) internal pure returns (string memory) {
+        if (code == ReasonCode.NONE) return "";
+        if (code == ReasonCode.ROUTER_PAUSED) return "Router is paused";
+        if (code == ReasonCode.EMPTY_ROUTES) return "Empty routes array";
+        if (code == ReasonCode.INTENT_NOT_ACTIVE) return "Intent not active";
+        if (code == ReasonCode.USER_BLACKLISTED) return "User is blacklisted";
+        if (code == ReasonCode.SOURCE_NOT_REGISTERED) return "Source adapter not registered";
+        if (code == ReasonCode.DESTINATION_NOT_REGISTERED) return "Destination adapter not registered";
+        if (code == ReasonCode.INSUFFICIENT_BALANCE) return "Insufficient balance";
+        if (code == ReasonCode.LIQUIDITY_RESERVE) return "Liquidity reserve breached";
+        return "Adapters hold different assets";
     }
-}
\ No newline at end of file
+
+    /**
+     * @dev Withdraw up to amount of user's asset from either the liquid or the other adapters,
+     *      in registration order, releasing each adapter's exposure in PolicyGuard
+     * @param liquid Whether to draw on the liquid adapters or on the others
+     * @return received Tokens the adapters returned to this router
+     * @return remaining Part of amount the adapters could not cover
+     */
+    function _withdrawFromAdapters(
+        address user,
+        address asset,
+        uint256 amount,
+        bool liquid
+    ) internal returns (uint256 received, uint256 remaining) {
+        remaining = amount;
+        uint256 length = adapters.length;
+        for (uint256 i; i < length && remaining != 0;) {
+            IAdapter adapter = IAdapter(adapters[i]);
+            if (liquidAdapters[address(adapter)] == liquid && adapter.asset() == asset) {
+                uint256 balance = adapter.getUserBalance(user);
+                uint256 take = balance < remaining ? balance : remaining;
+                if (take != 0) {
+                    uint256 withdrawn = adapter.withdraw(user, take, "");
+                    policyGuard.decreaseExposure(user, address(adapter), withdrawn);
+                    received += withdrawn;
+                    remaining -= take;
+                }
+            }
+            unchecked {
+                ++i;
+            }
+        }
+    }
+
+}
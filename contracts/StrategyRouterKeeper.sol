@@ -0,0 +1,170 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.19;
+
+import "./StrategyRouterStorage.sol";
+
+/**
+ * @title StrategyRouterKeeper
+ * @author NeoMesh Team
+ * @notice Keeper-driven rebalancing of opted-in intents
+ * @dev Deployed separately and only meaningful when called through StrategyRouter: StrategyRouter
+ *      delegatecalls here, so msg.sender is the original caller and all writes land in StrategyRouter's storage
+ * @custom:security-contact security@neomesh.io
+ */
+contract StrategyRouterKeeper is StrategyRouterStorage {
+    using SafeTransfer for address;
+
+    // ============ Keeper Rebalancing ============
+
+    /**
+     * @notice Let keepers rebalance an intent into the optimal adapter
+     * @dev Only intents bound to an asset by a deposit can opt in. Adapters hold one balance per
+     *      user and asset, so rebalancing moves every intent's funds in that asset; an intent
+     *      cannot opt in while another active intent of its owner is bound to the same asset
+     * @param intentId The intent to configure
+     * @param enabled Whether keepers may rebalance the intent
+     * @param minApyImprovement Basis points the optimal adapter's APY must exceed a position's
+     *        current APY by before that position is moved
+     */
+    function setAutoRebalance(
+        bytes32 intentId,
+        bool enabled,
+        uint256 minApyImprovement
+    ) external onlyValidIntent(intentId) {
+        if (enabled) {
+            address asset = intents[intentId].asset;
+            if (asset == address(0)) revert IntentNotFunded();
+            if (_sharesAsset(intentId, msg.sender, asset)) revert SharedAssetPosition();
+        }
+        if (minApyImprovement > MAX_REALISTIC_APY) revert UnrealisticAPY();
+
+        rebalanceSettings[intentId] = RebalanceSettings({enabled: enabled, minApyImprovement: minApyImprovement});
+        emit AutoRebalanceUpdated(intentId, enabled, minApyImprovement);
+    }
+
+    /**
+     * @notice Set the share of harvested yield paid to keepers
+     * @param rewardBps Reward in basis points of the yield, at most MAX_KEEPER_REWARD_BPS
+     */
+    function setKeeperReward(uint256 rewardBps) external onlyRole(ADMIN_ROLE) {
+        if (rewardBps > MAX_KEEPER_REWARD_BPS) revert InvalidKeeperReward();
+        keeperRewardBps = rewardBps;
+        emit KeeperRewardUpdated(rewardBps);
+    }
+
+    /**
+     * @notice Move an opted-in intent's positions into the optimal adapter
+     * @dev The target is the adapter getOptimalRoute picks for the intent. A position moves only
+     *      if the target's APY beats its adapter's by the intent's minApyImprovement; liquid
+     *      adapters only release what exceeds the reserves of the owner's intents in the asset.
+     *      Each source position is harvested first: keeperRewardBps of the yield goes to the
+     *      keeper and the rest stays idle for the user. Reverts if the rebalance costs more gas
+     *      than the intent's maxGasCost. A leg PolicyGuard's canTransfer rejects is skipped with
+     *      RouteBlocked (with the source adapter's index) instead of being validated, so keepers
+     *      never record violations against the user. Reverts with SharedAssetPosition if another
+     *      active intent of the owner has since been bound to the same asset
+     * @param intentId The intent to rebalance
+     * @return moved Amount moved into the target adapter
+     * @return reward Yield paid to the keeper
+     */
+    function rebalance(bytes32 intentId)
+        external
+        onlyRole(KEEPER_ROLE)
+        whenNotPaused
+        returns (uint256 moved, uint256 reward)
+    {
+        uint256 gasStart = gasleft();
+        Intent storage intent = intents[intentId];
+        RebalanceSettings memory settings = rebalanceSettings[intentId];
+        if (!settings.enabled) revert AutoRebalanceDisabled();
+        _checkIntent(intentId, intent.user);
+
+        address asset = intent.asset;
+        if (_sharesAsset(intentId, intent.user, asset)) revert SharedAssetPosition();
+        (address target, uint256 targetAPY) = _bestAdapter(asset, intent.targetAPY, intent.maxRisk);
+        if (target == address(0)) revert NothingToRebalance();
+
+        // Part of the liquid position above the reserve, read on first use
+        uint256 liquidExcess = type(uint256).max;
+        uint256 harvested;
+        bool attempted;
+        uint256 length = adapters.length;
+
+        for (uint256 i; i < length;) {
+            address source = adapters[i];
+            uint256 amount = source == target || IAdapter(source).asset() != asset
+                ? 0
+                : IAdapter(source).getUserBalance(intent.user);
+
+            // Hysteresis: small APY gains are not worth the gas and churn
+            if (amount != 0 && IAdapter(source).getCurrentAPY() + settings.minApyImprovement > targetAPY) {
+                amount = 0;
+            }
+
+            bool fromReserve = liquidAdapters[source] && !liquidAdapters[target];
+            if (amount != 0 && fromReserve) {
+                if (liquidExcess == type(uint256).max) {
+                    uint256 liquid = _liquidPosition(intent.user, asset);
+                    uint256 reserve = _requiredReserve(intent.user, asset);
+                    liquidExcess = liquid > reserve ? liquid - reserve : 0;
+                }
+                if (amount > liquidExcess) amount = liquidExcess;
+            }
+
+            if (amount != 0) {
+                attempted = true;
+                (bool allowed, , ) = policyGuard.canTransfer(intent.user, asset, target, amount);
+                if (!allowed) {
+                    emit RouteBlocked(intentId, i, target);
+                } else {
+                    if (fromReserve) liquidExcess -= amount;
+                    harvested += IAdapter(source).harvest(intent.user, 0);
+
+                    RouteParams memory route = RouteParams({
+                        fromAdapter: source,
+                        toAdapter: target,
+                        amount: amount,
+                        minReceived: 0,
+                        data: ""
+                    });
+                    if (!_routeFunds(intentId, i, intent.user, asset, route, gasStart)) break;
+                    moved += amount;
+                }
+            }
+
+            unchecked {
+                ++i;
+            }
+        }
+        if (!attempted) revert NothingToRebalance();
+
+        // Harvested yield was sent to this router: pay the keeper and keep the rest idle for the user
+        if (harvested != 0) {
+            reward = (harvested * keeperRewardBps) / MAX_BPS;
+            idleBalances[intent.user][asset] += harvested - reward;
+            if (reward != 0) asset.safeTransfer(msg.sender, reward);
+        }
+
+        emit Rebalanced(intentId, msg.sender, target, moved, harvested, reward);
+
+        if (_gasCost(gasStart) > intent.maxGasCost) revert GasLimitExceeded();
+    }
+
+    // ============ Internal Functions ============
+
+    /**
+     * @dev Whether another active intent of user is bound to asset, and so shares its positions
+     */
+    function _sharesAsset(bytes32 intentId, address user, address asset) internal view returns (bool) {
+        bytes32[] storage ids = userIntents[user];
+        uint256 length = ids.length;
+        for (uint256 i; i < length;) {
+            bytes32 id = ids[i];
+            if (id != intentId && intents[id].active && intents[id].asset == asset) return true;
+            unchecked {
+                ++i;
+            }
+        }
+        return false;
+    }
+}
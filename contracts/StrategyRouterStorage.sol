@@ -0,0 +1,374 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.19;
+
+import "./AccessRoles.sol";
+import "./interfaces/IAdapter.sol";
+import "./PolicyGuard.sol";
+import "./SafeTransfer.sol";
+import "./SignedActions.sol";
+
+/**
+ * @title StrategyRouterStorage
+ * @author NeoMesh Team
+ * @notice Storage layout, events and errors shared by StrategyRouter and its keeper module
+ * @dev StrategyRouterKeeper runs in StrategyRouter's storage via delegatecall, so every state
+ *      variable of either contract must be declared here and only appended to
+ * @custom:security-contact security@neomesh.io
+ */
+abstract contract StrategyRouterStorage is AccessRoles, SignedActions {
+    using SafeTransfer for address;
+
+    // ============ Constants ============
+
+    uint256 public constant MAX_REALISTIC_APY = 5000; // 50% APY maximum
+    uint256 public constant MAX_RISK_SCORE = 10;
+    uint256 public constant MIN_RISK_SCORE = 1;
+    uint256 public constant MAX_RESERVE_MONTHS = 120;
+    uint256 public constant EXPENSE_PERIOD = 30 days;
+    uint256 public constant MAX_BPS = 10000;
+    uint256 public constant MAX_KEEPER_REWARD_BPS = 1000; // 10% of harvested yield
+    string public constant VERSION = "1.0.0";
+
+    // EIP-712 types of relayed intent actions, signed by the intent's user
+    bytes32 public constant CREATE_INTENT_TYPEHASH = keccak256(
+        "CreateIntent(address user,uint256 targetAPY,uint256 maxRisk,uint256 liquidityReserve,uint256 maxGasCost,uint256 nonce,uint256 deadline)"
+    );
+    bytes32 public constant UPDATE_INTENT_TYPEHASH = keccak256(
+        "UpdateIntent(address user,bytes32 intentId,uint256 targetAPY,uint256 maxRisk,uint256 liquidityReserve,uint256 maxGasCost,uint256 nonce,uint256 deadline)"
+    );
+    bytes32 public constant DEACTIVATE_INTENT_TYPEHASH =
+        keccak256("DeactivateIntent(address user,bytes32 intentId,uint256 nonce,uint256 deadline)");
+
+    // ============ Custom Errors ============
+
+    error IntentNotActive();
+    error NotIntentOwner();
+    error InvalidRiskLevel();
+    error UnrealisticAPY();
+    error InvalidAdapter();
+    error PolicyViolation();
+    error GasLimitExceeded();
+    error AlreadyRegistered();
+    error EmptyRoutes();
+    error InsufficientBalance();
+    error WithdrawFailed();
+    error DepositFailed();
+    error IsPaused();
+    error UserBlacklisted();
+    error AdapterHasFunds();
+    error AdapterNotRegistered();
+    error GasCalculationOverflow();
+    error SlippageExceeded();
+    error InvalidLiquidityReserve();
+    error InvalidMaxGasCost();
+    error ZeroAmount();
+    error AssetMismatch();
+    error RecipientSanctioned();
+    error LiquidityReserveBreached();
+    error IntentNotFunded();
+    error AutoRebalanceDisabled();
+    error NothingToRebalance();
+    error InvalidKeeperReward();
+    error SharedAssetPosition();
+    error UserSanctioned();
+    error NoActivePolicy();
+
+    // ============ State Variables ============
+
+    PolicyGuard public policyGuard;
+    bool public paused;
+
+    mapping(bytes32 => Intent) public intents;
+    /// @notice Intent IDs per user in creation order; the length doubles as the user's intent nonce
+    mapping(address => bytes32[]) internal userIntents;
+    mapping(address => bool) public registeredAdapters;
+    address[] public adapters;
+    /// @notice Adapters designated to hold intents' liquidity reserves
+    mapping(address => bool) public liquidAdapters;
+    /// @notice Deposited tokens kept idle in the router: user => token => amount
+    mapping(address => mapping(address => uint256)) public idleBalances;
+    /// @notice Keeper rebalancing opt-in per intent
+    mapping(bytes32 => RebalanceSettings) public rebalanceSettings;
+    /// @notice Share of the yield harvested during a rebalance paid to the keeper, in basis points
+    uint256 public keeperRewardBps;
+
+    // ============ Structs ============
+
+    struct Intent {
+        bytes32 id;
+        address user;
+        uint256 targetAPY;
+        uint256 maxRisk;
+        uint256 liquidityReserve;
+        uint256 maxGasCost;
+        bool active;
+        address asset; // Bound by the first deposit, address(0) until then
+        ExpenseTarget expenses; // Set for "months of expenses" intents, zero otherwise
+    }
+
+    struct ExpenseTarget {
+        uint256 monthlyAmount; // Estimated monthly spend in the intent's asset
+        uint256 months; // Months of spend to keep liquid, 0 for a fixed reserve
+        bool trackOutflows; // Adjust monthlyAmount from actual withdrawals
+        uint256 periodStart; // Start of the current outflow period
+        uint256 periodOutflow; // Withdrawn so far in the current period
+    }
+
+    struct RebalanceSettings {
+        bool enabled;
+        uint256 minApyImprovement; // Basis points a position's APY must improve by to be moved
+    }
+
+    struct RouteParams {
+        address fromAdapter;
+        address toAdapter;
+        uint256 amount;
+        uint256 minReceived; // Slippage protection
+        bytes data;
+    }
+
+    // ============ Events ============
+
+    event IntentCreated(
+        bytes32 indexed intentId,
+        address indexed user,
+        uint256 targetAPY,
+        uint256 maxRisk
+    );
+    event IntentUpdated(
+        bytes32 indexed intentId,
+        uint256 newTargetAPY,
+        uint256 newMaxRisk,
+        uint256 newLiquidityReserve,
+        uint256 newMaxGasCost
+    );
+    event IntentDeactivated(bytes32 indexed intentId, address indexed user);
+    event ExpenseTargetUpdated(
+        bytes32 indexed intentId,
+        uint256 monthlyAmount,
+        uint256 months,
+        bool trackOutflows,
+        uint256 liquidityReserve
+    );
+    event MonthlyExpensesAdjusted(
+        bytes32 indexed intentId,
+        uint256 periodOutflow,
+        uint256 newMonthlyAmount,
+        uint256 newLiquidityReserve
+    );
+    event FundsRouted(
+        bytes32 indexed intentId,
+        address indexed from,
+        address indexed to,
+        uint256 amountRequested,
+        uint256 amountWithdrawn,
+        uint256 amountDeposited,
+        uint256 gasUsed
+    );
+    event RouteBlocked(bytes32 indexed intentId, uint256 routeIndex, address indexed toAdapter);
+    event FundsDeposited(
+        bytes32 indexed intentId,
+        address indexed adapter,
+        address indexed token,
+        uint256 amount,
+        uint256 shares
+    );
+    event DepositBlocked(bytes32 indexed intentId, address indexed adapter, uint256 amount);
+    event WithdrawalBlocked(bytes32 indexed intentId, address indexed recipient, uint256 amount);
+    event FundsWithdrawn(
+        bytes32 indexed intentId,
+        address indexed recipient,
+        uint256 amountRequested,
+        uint256 amountReceived
+    );
+    event AdapterRegistered(address indexed adapter, string protocol);
+    event AdapterRemoved(address indexed adapter, string reason);
+    event LiquidAdapterUpdated(address indexed adapter, bool liquid);
+    event AutoRebalanceUpdated(bytes32 indexed intentId, bool enabled, uint256 minApyImprovement);
+    event KeeperRewardUpdated(uint256 rewardBps);
+    event Rebalanced(
+        bytes32 indexed intentId,
+        address indexed keeper,
+        address indexed toAdapter,
+        uint256 amountMoved,
+        uint256 yieldHarvested,
+        uint256 keeperReward
+    );
+    event RouterPaused(string reason);
+    event RouterUnpaused();
+    event GasLimitExceededWarning(
+        bytes32 indexed intentId,
+        uint256 actualCost,
+        uint256 maxCost
+    );
+
+    // ============ Modifiers ============
+
+    modifier onlyValidIntent(bytes32 intentId) {
+        _checkIntent(intentId, msg.sender);
+        _;
+    }
+
+    modifier whenNotPaused() {
+        if (paused) revert IsPaused();
+        _;
+    }
+
+    // ============ Internal Functions ============
+
+    function _domainNameAndVersion() internal pure override returns (string memory, string memory) {
+        return ("NeoMesh StrategyRouter", VERSION);
+    }
+
+    /**
+     * @dev Revert unless the intent is active, owned by user and user is not blacklisted
+     */
+    function _checkIntent(bytes32 intentId, address user) internal view {
+        Intent storage intent = intents[intentId];
+        if (!intent.active) revert IntentNotActive();
+        if (intent.user != user) revert NotIntentOwner();
+
+        // Check if user is blacklisted in PolicyGuard
+        if (policyGuard.isUserBlacklisted(user)) revert UserBlacklisted();
+    }
+
+    /**
+     * @dev Move one leg between registered adapters holding asset: validate it with PolicyGuard,
+     *      withdraw, release the source exposure, forward the tokens and deposit
+     * @return routed False if PolicyGuard rejected the leg, which emits RouteBlocked
+     */
+    function _routeFunds(
+        bytes32 intentId,
+        uint256 routeIndex,
+        address user,
+        address asset,
+        RouteParams memory route,
+        uint256 gasStart
+    ) internal returns (bool routed) {
+        // Validate against policy constraints for the destination adapter's asset
+        if (!policyGuard.validateTransfer(user, asset, route.toAdapter, route.amount)) {
+            emit RouteBlocked(intentId, routeIndex, route.toAdapter);
+            return false;
+        }
+
+        // Execute withdrawal from source adapter
+        uint256 withdrawn = IAdapter(route.fromAdapter).withdraw(user, route.amount, route.data);
+        if (withdrawn == 0) revert WithdrawFailed();
+
+        // Release the source leg's exposure (requires this router to be a PolicyGuard authorized caller)
+        policyGuard.decreaseExposure(user, route.fromAdapter, withdrawn);
+
+        // The source adapter returned the tokens to this router; hand them to the destination
+        if (asset != address(0)) asset.safeTransfer(route.toAdapter, withdrawn);
+
+        // Execute deposit to destination adapter (use actual withdrawn amount)
+        uint256 deposited = IAdapter(route.toAdapter).deposit(user, withdrawn, route.data);
+        if (deposited == 0) revert DepositFailed();
+
+        // Slippage protection - ensure minimum received amount
+        if (deposited < route.minReceived) revert SlippageExceeded();
+
+        emit FundsRouted(
+            intentId,
+            route.fromAdapter,
+            route.toAdapter,
+            route.amount,
+            withdrawn,
+            deposited,
+            gasStart - gasleft()
+        );
+        return true;
+    }
+
+    /**
+     * @dev Cost in wei of the gas used since gasStart, with overflow protection
+     */
+    function _gasCost(uint256 gasStart) internal view returns (uint256 gasCost) {
+        uint256 gasUsed = gasStart - gasleft();
+
+        unchecked {
+            gasCost = gasUsed * tx.gasprice;
+            // Check for overflow: if gasCost / tx.gasprice != gasUsed, overflow occurred
+            if (gasCost / tx.gasprice != gasUsed) revert GasCalculationOverflow();
+        }
+    }
+
+    /**
+     * @dev Best adapter by APY weighted by inverse risk among those meeting targetAPY and maxRisk
+     * @param asset Only consider adapters holding this asset, address(0) for any adapter
+     */
+    function _bestAdapter(
+        address asset,
+        uint256 targetAPY,
+        uint256 maxRisk
+    ) internal view returns (address bestAdapter, uint256 expectedAPY) {
+        uint256 bestScore;
+        uint256 length = adapters.length;
+
+        for (uint256 i; i < length;) {
+            IAdapter adapter = IAdapter(adapters[i]);
+            uint256 apy = adapter.getCurrentAPY();
+            uint256 risk = _adapterRiskScore(adapters[i]);
+
+            // Check if adapter meets criteria
+            if (risk <= maxRisk && apy >= targetAPY && (asset == address(0) || adapter.asset() == asset)) {
+                // Score formula: APY weighted by inverse risk
+                // Higher APY and lower risk yield higher scores
+                // Using (11 - risk) to give full weight to risk 1, minimal to risk 10
+                uint256 score = (apy * (11 - risk)) / 10;
+
+                if (score > bestScore) {
+                    bestScore = score;
+                    bestAdapter = adapters[i];
+                    expectedAPY = apy;
+                }
+            }
+
+            unchecked {
+                ++i;
+            }
+        }
+    }
+
+    /**
+     * @dev Owner's idle funds in asset plus their balances in liquid adapters holding asset
+     */
+    function _liquidPosition(address user, address asset) internal view returns (uint256 liquid) {
+        liquid = idleBalances[user][asset];
+
+        uint256 length = adapters.length;
+        for (uint256 i; i < length;) {
+            IAdapter adapter = IAdapter(adapters[i]);
+            if (liquidAdapters[address(adapter)] && adapter.asset() == asset) {
+                liquid += adapter.getUserBalance(user);
+            }
+            unchecked {
+                ++i;
+            }
+        }
+    }
+
+    /**
+     * @dev Liquidity the user's active intents in asset must keep: the sum of their reserves,
+     *      since they all draw on the same liquid position
+     */
+    function _requiredReserve(address user, address asset) internal view returns (uint256 reserve) {
+        bytes32[] storage ids = userIntents[user];
+        uint256 length = ids.length;
+        for (uint256 i; i < length;) {
+            Intent storage intent = intents[ids[i]];
+            if (intent.active && intent.asset == asset) reserve += intent.liquidityReserve;
+            unchecked {
+                ++i;
+            }
+        }
+    }
+
+    /**
+     * @dev Risk score from PolicyGuard's risk oracle when available, otherwise the adapter's own
+     */
+    function _adapterRiskScore(address adapter) internal view returns (uint256) {
+        (bool available, uint256 score) = policyGuard.getOracleRiskScore(adapter);
+        return available ? score : IAdapter(adapter).getRiskScore();
+    }
+}
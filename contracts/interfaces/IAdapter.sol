@@ -11,6 +11,7 @@ pragma solidity 0.8.19;
 interface IAdapter {
     /**
      * @notice Deposit funds into the protocol
+     * @dev For ERC-20 assets the router transfers amount to the adapter before calling
      * @param user Address of the user making deposit
      * @param amount Amount to deposit
      * @param data Additional protocol-specific data
@@ -24,6 +25,7 @@ interface IAdapter {
 
     /**
      * @notice Withdraw funds from the protocol
+     * @dev The adapter sends the received amount of asset() back to the router
      * @param user Address of the user withdrawing
      * @param amount Amount to withdraw
      * @param data Additional protocol-specific data
@@ -37,6 +39,7 @@ interface IAdapter {
 
     /**
      * @notice Harvest yield from the protocol
+     * @dev The adapter sends the yield in asset() to the router
      * @param user Address of the user harvesting
      * @param minYield Minimum acceptable yield (slippage protection)
      * @return yieldAmount Amount of yield harvested
@@ -63,6 +66,12 @@ interface IAdapter {
      */
     function getTVL() external view returns (uint256);
 
+    /**
+     * @notice Get the asset this adapter accepts
+     * @return Token address (address(0) for native ETH)
+     */
+    function asset() external view returns (address);
+
     /**
      * @notice Get user's balance in this adapter
      * @param user User address
@@ -0,0 +1,19 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.19;
+
+/**
+ * @title IERC1271
+ * @author NeoMesh Team
+ * @notice Standard signature validation for contract accounts such as Gnosis Safes
+ * @dev See https://eips.ethereum.org/EIPS/eip-1271
+ * @custom:security-contact security@neomesh.io
+ */
+interface IERC1271 {
+    /**
+     * @notice Check whether a signature is valid for a hash on behalf of the account
+     * @param hash Signed digest
+     * @param signature Signature data, in whatever format the account expects
+     * @return magicValue 0x1626ba7e if the signature is valid
+     */
+    function isValidSignature(bytes32 hash, bytes memory signature) external view returns (bytes4 magicValue);
+}
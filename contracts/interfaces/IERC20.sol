@@ -0,0 +1,36 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.19;
+
+/**
+ * @title IERC20
+ * @author NeoMesh Team
+ * @notice Subset of the ERC-20 standard used to move assets in and out of adapters
+ * @dev Call transfer and transferFrom through SafeTransfer, which also accepts
+ *      tokens that return nothing
+ * @custom:security-contact security@neomesh.io
+ */
+interface IERC20 {
+    /**
+     * @notice Move tokens from the caller to another account
+     * @param to Recipient
+     * @param amount Amount in the token's smallest unit
+     * @return Whether the transfer succeeded
+     */
+    function transfer(address to, uint256 amount) external returns (bool);
+
+    /**
+     * @notice Move tokens between accounts using the caller's allowance
+     * @param from Token owner
+     * @param to Recipient
+     * @param amount Amount in the token's smallest unit
+     * @return Whether the transfer succeeded
+     */
+    function transferFrom(address from, address to, uint256 amount) external returns (bool);
+
+    /**
+     * @notice Get an account's token balance
+     * @param account Account to query
+     * @return Balance in the token's smallest unit
+     */
+    function balanceOf(address account) external view returns (uint256);
+}
@@ -0,0 +1,40 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.19;
+
+/**
+ * @title IPriceFeed
+ * @author NeoMesh Team
+ * @notice Subset of the Chainlink AggregatorV3Interface used to price assets in USD
+ * @dev PolicyGuard rejects non-positive, stale or sharply deviating answers
+ * @custom:security-contact security@neomesh.io
+ */
+interface IPriceFeed {
+    /**
+     * @notice Number of decimals in the feed's answers
+     * @return Answer decimals
+     */
+    function decimals() external view returns (uint8);
+
+    /**
+     * @notice Get the latest price round
+     * @return roundId Round identifier
+     * @return answer USD price of one whole token
+     * @return startedAt Timestamp the round started
+     * @return updatedAt Timestamp the answer was last updated
+     * @return answeredInRound Round in which the answer was computed
+     */
+    function latestRoundData()
+        external
+        view
+        returns (uint80 roundId, int256 answer, uint256 startedAt, uint256 updatedAt, uint80 answeredInRound);
+
+    /**
+     * @notice Get a historical price round
+     * @param roundId Round identifier
+     * @return Same fields as latestRoundData
+     */
+    function getRoundData(uint80 roundId)
+        external
+        view
+        returns (uint80, int256, uint256, uint256, uint80);
+}
@@ -0,0 +1,19 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.19;
+
+/**
+ * @title IRiskOracle
+ * @author NeoMesh Team
+ * @notice Source of externally maintained protocol risk scores
+ * @dev PolicyGuard treats scores outside 1-10 or older than its max age as unavailable
+ * @custom:security-contact security@neomesh.io
+ */
+interface IRiskOracle {
+    /**
+     * @notice Get the latest risk score for a protocol
+     * @param protocol Protocol or adapter address
+     * @return score Risk score (1-10), 0 if unknown
+     * @return updatedAt Timestamp of the last score update
+     */
+    function getRiskScore(address protocol) external view returns (uint256 score, uint256 updatedAt);
+}
@@ -0,0 +1,18 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.19;
+
+/**
+ * @title ISanctionsList
+ * @author NeoMesh Team
+ * @notice Address screening source, compatible with the Chainalysis sanctions oracle
+ * @dev PolicyGuard decides whether an unreachable list blocks or allows (fail-closed/fail-open)
+ * @custom:security-contact security@neomesh.io
+ */
+interface ISanctionsList {
+    /**
+     * @notice Check whether an address is sanctioned
+     * @param addr Address to screen
+     * @return Whether the address is sanctioned
+     */
+    function isSanctioned(address addr) external view returns (bool);
+}
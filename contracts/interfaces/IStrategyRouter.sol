@@ -0,0 +1,17 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.19;
+
+/**
+ * @title IStrategyRouter
+ * @author NeoMesh Team
+ * @notice Portfolio views exposed by the StrategyRouter to other NeoMesh contracts
+ * @dev Lets PolicyGuard read on-chain portfolio data without importing the router
+ * @custom:security-contact security@neomesh.io
+ */
+interface IStrategyRouter {
+    /**
+     * @notice Get all registered adapters
+     * @return Array of adapter addresses
+     */
+    function getAdapters() external view returns (address[] memory);
+}
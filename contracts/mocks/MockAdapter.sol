@@ -2,14 +2,19 @@
 pragma solidity 0.8.19;
 
 import "../AdapterBase.sol";
+import "../SafeTransfer.sol";
 
 /**
  * @title MockAdapter
  * @notice Mock adapter for testing purposes - extends AdapterBase
  */
 contract MockAdapter is AdapterBase {
+    using SafeTransfer for address;
+
     uint256 public mockAPY;
     uint256 public mockTVL;
+    address public mockAsset; // address(0) = native ETH
+    uint256 public mockYield; // Paid out by the next harvest
 
     // Track actual balances for testing
     mapping(address => uint256) public balances;
@@ -49,8 +54,9 @@ contract MockAdapter is AdapterBase {
         override 
         returns (uint256 yieldAmount) 
     {
-        // Return 0 yield for testing
-        yieldAmount = 0;
+        // Pay out the configured yield once
+        yieldAmount = mockYield;
+        mockYield = 0;
     }
 
     function _getProtocolAPY() 
@@ -71,6 +77,15 @@ contract MockAdapter is AdapterBase {
         return mockTVL;
     }
 
+    function _getProtocolAsset() 
+        internal 
+        view 
+        override 
+        returns (address) 
+    {
+        return mockAsset;
+    }
+
     function _getUserProtocolBalance(address user) 
         internal 
         view 
@@ -85,9 +100,17 @@ contract MockAdapter is AdapterBase {
         internal 
         override 
     {
-        // In a real adapter, this would transfer tokens
-        // For testing, we just track it
+        // Native-asset mocks hold no funds, so for them we just track it
         balances[user] = amount;
+        if (mockAsset != address(0)) mockAsset.safeTransfer(user, amount);
+    }
+
+    function _transferToRouter(uint256 amount) 
+        internal 
+        override 
+    {
+        // Token-backed mocks hold real balances; native-asset mocks stay 1:1 accounting
+        if (mockAsset != address(0)) mockAsset.safeTransfer(strategyRouter, amount);
     }
 
     // ============ Test Helper Functions ============
@@ -100,6 +123,14 @@ contract MockAdapter is AdapterBase {
         mockTVL = _tvl;
     }
 
+    function setMockAsset(address _asset) external {
+        mockAsset = _asset;
+    }
+
+    function setMockYield(uint256 _yield) external {
+        mockYield = _yield;
+    }
+
     function setUserBalance(address user, uint256 balance) external {
         balances[user] = balance;
         
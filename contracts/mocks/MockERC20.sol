@@ -0,0 +1,74 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.19;
+
+import "../interfaces/IERC20.sol";
+
+/**
+ * @title MockERC20
+ * @notice Mintable ERC-20 token for testing purposes
+ */
+contract MockERC20 is IERC20 {
+    error InsufficientBalance();
+    error InsufficientAllowance();
+
+    string public name;
+    string public symbol;
+    uint8 public decimals = 18;
+    uint256 public totalSupply;
+
+    mapping(address => uint256) public override balanceOf;
+    mapping(address => mapping(address => uint256)) public allowance;
+
+    // When set, transfers return false instead of moving tokens
+    bool public failTransfers;
+
+    event Transfer(address indexed from, address indexed to, uint256 value);
+    event Approval(address indexed owner, address indexed spender, uint256 value);
+
+    constructor(string memory _name, string memory _symbol) {
+        name = _name;
+        symbol = _symbol;
+    }
+
+    function approve(address spender, uint256 amount) external returns (bool) {
+        allowance[msg.sender][spender] = amount;
+        emit Approval(msg.sender, spender, amount);
+        return true;
+    }
+
+    function transfer(address to, uint256 amount) external override returns (bool) {
+        if (failTransfers) return false;
+        _transfer(msg.sender, to, amount);
+        return true;
+    }
+
+    function transferFrom(address from, address to, uint256 amount) external override returns (bool) {
+        if (failTransfers) return false;
+
+        uint256 allowed = allowance[from][msg.sender];
+        if (allowed < amount) revert InsufficientAllowance();
+        if (allowed != type(uint256).max) allowance[from][msg.sender] = allowed - amount;
+
+        _transfer(from, to, amount);
+        return true;
+    }
+
+    // ============ Test Helper Functions ============
+
+    function mint(address to, uint256 amount) external {
+        balanceOf[to] += amount;
+        totalSupply += amount;
+        emit Transfer(address(0), to, amount);
+    }
+
+    function setFailTransfers(bool _failTransfers) external {
+        failTransfers = _failTransfers;
+    }
+
+    function _transfer(address from, address to, uint256 amount) internal {
+        if (balanceOf[from] < amount) revert InsufficientBalance();
+        balanceOf[from] -= amount;
+        balanceOf[to] += amount;
+        emit Transfer(from, to, amount);
+    }
+}
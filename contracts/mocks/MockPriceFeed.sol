@@ -0,0 +1,62 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.19;
+
+import "../interfaces/IPriceFeed.sol";
+
+/**
+ * @title MockPriceFeed
+ * @notice Mock Chainlink-style aggregator for testing purposes
+ */
+contract MockPriceFeed is IPriceFeed {
+    error FeedUnavailable();
+
+    struct Round {
+        int256 answer;
+        uint256 updatedAt;
+    }
+
+    uint8 public override decimals;
+    uint80 public latestRound;
+    mapping(uint80 => Round) public rounds;
+    bool public shouldRevert;
+
+    constructor(uint8 _decimals, int256 initialAnswer) {
+        decimals = _decimals;
+        setAnswer(initialAnswer);
+    }
+
+    function latestRoundData()
+        external
+        view
+        override
+        returns (uint80, int256, uint256, uint256, uint80)
+    {
+        return getRoundData(latestRound);
+    }
+
+    function getRoundData(uint80 roundId)
+        public
+        view
+        override
+        returns (uint80, int256, uint256, uint256, uint80)
+    {
+        if (shouldRevert) revert FeedUnavailable();
+        Round storage round = rounds[roundId];
+        return (roundId, round.answer, round.updatedAt, round.updatedAt, roundId);
+    }
+
+    // ============ Test Helper Functions ============
+
+    function setAnswer(int256 answer) public {
+        ++latestRound;
+        rounds[latestRound] = Round(answer, block.timestamp);
+    }
+
+    function setUpdatedAt(uint256 updatedAt) external {
+        rounds[latestRound].updatedAt = updatedAt;
+    }
+
+    function setShouldRevert(bool _shouldRevert) external {
+        shouldRevert = _shouldRevert;
+    }
+}
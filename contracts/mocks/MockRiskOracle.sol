@@ -0,0 +1,45 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.19;
+
+import "../interfaces/IRiskOracle.sol";
+
+/**
+ * @title MockRiskOracle
+ * @notice Mock risk oracle for testing purposes
+ */
+contract MockRiskOracle is IRiskOracle {
+    error OracleUnavailable();
+
+    struct Score {
+        uint256 score;
+        uint256 updatedAt;
+    }
+
+    mapping(address => Score) public scores;
+    bool public shouldRevert;
+
+    function getRiskScore(address protocol)
+        external
+        view
+        override
+        returns (uint256 score, uint256 updatedAt)
+    {
+        if (shouldRevert) revert OracleUnavailable();
+        Score storage entry = scores[protocol];
+        return (entry.score, entry.updatedAt);
+    }
+
+    // ============ Test Helper Functions ============
+
+    function setRiskScore(address protocol, uint256 score) external {
+        scores[protocol] = Score(score, block.timestamp);
+    }
+
+    function setRiskScoreAt(address protocol, uint256 score, uint256 updatedAt) external {
+        scores[protocol] = Score(score, updatedAt);
+    }
+
+    function setShouldRevert(bool _shouldRevert) external {
+        shouldRevert = _shouldRevert;
+    }
+}
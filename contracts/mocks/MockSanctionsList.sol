@@ -0,0 +1,30 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.19;
+
+import "../interfaces/ISanctionsList.sol";
+
+/**
+ * @title MockSanctionsList
+ * @notice Mock sanctions screening contract for testing purposes
+ */
+contract MockSanctionsList is ISanctionsList {
+    error ScreeningUnavailable();
+
+    mapping(address => bool) public sanctioned;
+    bool public shouldRevert;
+
+    function isSanctioned(address addr) external view override returns (bool) {
+        if (shouldRevert) revert ScreeningUnavailable();
+        return sanctioned[addr];
+    }
+
+    // ============ Test Helper Functions ============
+
+    function setSanctioned(address addr, bool _sanctioned) external {
+        sanctioned[addr] = _sanctioned;
+    }
+
+    function setShouldRevert(bool _shouldRevert) external {
+        shouldRevert = _shouldRevert;
+    }
+}
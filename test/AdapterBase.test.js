@@ -397,6 +397,16 @@ describe("AdapterBase", function () {
       const { adapter } = await loadFixture(deployAdapterFixture);
       expect(await adapter.getUserBalance(ethers.ZeroAddress)).to.equal(0);
     });
+
+    it("Should return the underlying asset", async function () {
+      const { adapter, user1 } = await loadFixture(deployAdapterFixture);
+
+      // MockAdapter defaults to native ETH
+      expect(await adapter.asset()).to.equal(ethers.ZeroAddress);
+
+      await adapter.setMockAsset(user1.address);
+      expect(await adapter.asset()).to.equal(user1.address);
+    });
   });
 
   describe("Pause/Unpause", function () {
@@ -426,7 +436,7 @@ describe("AdapterBase", function () {
 
       await expect(
         adapter.connect(attacker).pause("Malicious")
-      ).to.be.revertedWithCustomError(adapter, "NotOwner");
+      ).to.be.revertedWithCustomError(adapter, "MissingRole");
     });
 
     it("Should revert when non-owner tries to unpause", async function () {
@@ -438,7 +448,7 @@ describe("AdapterBase", function () {
 
       await expect(
         adapter.connect(attacker).unpause()
-      ).to.be.revertedWithCustomError(adapter, "NotOwner");
+      ).to.be.revertedWithCustomError(adapter, "MissingRole");
     });
   });
 
@@ -457,7 +467,7 @@ describe("AdapterBase", function () {
 
       await expect(
         adapter.connect(attacker).updateRiskScore(8)
-      ).to.be.revertedWithCustomError(adapter, "NotOwner");
+      ).to.be.revertedWithCustomError(adapter, "MissingRole");
     });
 
     it("Should revert with invalid risk score (0)", async function () {
@@ -488,15 +498,28 @@ describe("AdapterBase", function () {
   });
 
   describe("Ownership Transfer", function () {
-    it("Should allow owner to transfer ownership", async function () {
+    it("Should propose ownership without transferring it", async function () {
       const { adapter, owner, user1 } = await loadFixture(deployAdapterFixture);
 
       const tx = await adapter.connect(owner).transferOwnership(user1.address);
       await expect(tx)
+        .to.emit(adapter, "OwnershipTransferProposed")
+        .withArgs(owner.address, user1.address, await time.latest());
+
+      expect(await adapter.owner()).to.equal(owner.address);
+      expect(await adapter.pendingOwner()).to.equal(user1.address);
+    });
+
+    it("Should transfer ownership once the pending owner accepts", async function () {
+      const { adapter, owner, user1 } = await loadFixture(deployAdapterFixture);
+
+      await adapter.connect(owner).transferOwnership(user1.address);
+      await expect(adapter.connect(user1).acceptOwnership())
         .to.emit(adapter, "OwnershipTransferred")
         .withArgs(owner.address, user1.address);
 
       expect(await adapter.owner()).to.equal(user1.address);
+      expect(await adapter.pendingOwner()).to.equal(ethers.ZeroAddress);
     });
 
     it("Should revert when non-owner tries to transfer", async function () {
@@ -517,10 +540,65 @@ describe("AdapterBase", function () {
       ).to.be.revertedWithCustomError(adapter, "ZeroAddress");
     });
 
+    it("Should only let the pending owner accept", async function () {
+      const { adapter, owner, user1, attacker } = await loadFixture(
+        deployAdapterFixture
+      );
+
+      await adapter.connect(owner).transferOwnership(user1.address);
+
+      await expect(
+        adapter.connect(attacker).acceptOwnership()
+      ).to.be.revertedWithCustomError(adapter, "NotPendingOwner");
+    });
+
+    it("Should allow the owner to cancel a proposal", async function () {
+      const { adapter, owner, user1 } = await loadFixture(deployAdapterFixture);
+
+      await adapter.connect(owner).transferOwnership(user1.address);
+      await expect(adapter.connect(owner).cancelOwnershipTransfer())
+        .to.emit(adapter, "OwnershipTransferCancelled")
+        .withArgs(owner.address, user1.address);
+
+      await expect(
+        adapter.connect(user1).acceptOwnership()
+      ).to.be.revertedWithCustomError(adapter, "NotPendingOwner");
+      await expect(
+        adapter.connect(owner).cancelOwnershipTransfer()
+      ).to.be.revertedWithCustomError(adapter, "NoPendingOwnershipTransfer");
+    });
+
+    it("Should enforce the ownership transfer delay", async function () {
+      const { adapter, owner, user1 } = await loadFixture(deployAdapterFixture);
+      const delay = 2 * 24 * 60 * 60;
+
+      await expect(adapter.connect(owner).setOwnershipTransferDelay(delay))
+        .to.emit(adapter, "OwnershipTransferDelayUpdated")
+        .withArgs(0, delay);
+      await adapter.connect(owner).transferOwnership(user1.address);
+
+      await expect(
+        adapter.connect(user1).acceptOwnership()
+      ).to.be.revertedWithCustomError(adapter, "OwnershipTransferNotReady");
+
+      await time.increase(delay);
+      await adapter.connect(user1).acceptOwnership();
+      expect(await adapter.owner()).to.equal(user1.address);
+    });
+
+    it("Should revert with a transfer delay above the maximum", async function () {
+      const { adapter, owner } = await loadFixture(deployAdapterFixture);
+
+      await expect(
+        adapter.connect(owner).setOwnershipTransferDelay(31 * 24 * 60 * 60)
+      ).to.be.revertedWithCustomError(adapter, "InvalidOwnershipTransferDelay");
+    });
+
     it("New owner should have full control", async function () {
       const { adapter, owner, user1 } = await loadFixture(deployAdapterFixture);
 
       await adapter.connect(owner).transferOwnership(user1.address);
+      await adapter.connect(user1).acceptOwnership();
 
       // New owner can pause
       await adapter.connect(user1).pause("Test");
@@ -529,7 +607,37 @@ describe("AdapterBase", function () {
       // Old owner cannot
       await expect(
         adapter.connect(owner).unpause()
-      ).to.be.revertedWithCustomError(adapter, "NotOwner");
+      ).to.be.revertedWithCustomError(adapter, "MissingRole");
+    });
+  });
+
+  describe("Role-Based Access", function () {
+    it("Should let guardians pause and start emergency mode", async function () {
+      const { adapter, owner, user1 } = await loadFixture(deployAdapterFixture);
+
+      await adapter
+        .connect(owner)
+        .grantRole(await adapter.GUARDIAN_ROLE(), user1.address);
+
+      await adapter.connect(user1).pause("Incident");
+      await adapter.connect(user1).initiateEmergencyMode();
+
+      expect(await adapter.paused()).to.equal(true);
+      expect(await adapter.emergencyMode()).to.equal(true);
+      await expect(
+        adapter.connect(user1).cancelEmergencyMode()
+      ).to.be.revertedWithCustomError(adapter, "MissingRole");
+    });
+
+    it("Should let risk managers update the risk score", async function () {
+      const { adapter, owner, user1 } = await loadFixture(deployAdapterFixture);
+
+      await adapter
+        .connect(owner)
+        .grantRole(await adapter.RISK_MANAGER_ROLE(), user1.address);
+      await adapter.connect(user1).updateRiskScore(7);
+
+      expect(await adapter.riskScore()).to.equal(7);
     });
   });
 
@@ -563,7 +671,7 @@ describe("AdapterBase", function () {
 
       await expect(
         adapter.connect(attacker).initiateEmergencyMode()
-      ).to.be.revertedWithCustomError(adapter, "NotOwner");
+      ).to.be.revertedWithCustomError(adapter, "MissingRole");
     });
 
     it("Should revert when non-owner cancels emergency", async function () {
@@ -575,7 +683,7 @@ describe("AdapterBase", function () {
 
       await expect(
         adapter.connect(attacker).cancelEmergencyMode()
-      ).to.be.revertedWithCustomError(adapter, "NotOwner");
+      ).to.be.revertedWithCustomError(adapter, "MissingRole");
     });
   });
 
@@ -723,6 +831,7 @@ describe("AdapterBase", function () {
 
       // Transfer ownership
       await adapter.connect(owner).transferOwnership(user1.address);
+      await adapter.connect(user1).acceptOwnership();
 
       // New owner can manage adapter
       await adapter.connect(user1).pause("Test");
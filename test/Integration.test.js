@@ -11,13 +11,35 @@ describe("Integration Tests - Full Flow", function () {
       await ethers.getSigners();
 
     // Deploy PolicyGuard
+    const PolicyGuardConfig = await ethers.getContractFactory(
+      "PolicyGuardConfig"
+    );
+    const PolicyGuardAdmin = await ethers.getContractFactory(
+      "PolicyGuardAdmin"
+    );
+    const PolicyGuardValidation = await ethers.getContractFactory(
+      "PolicyGuardValidation"
+    );
+    const policyConfig = await PolicyGuardConfig.deploy();
+    const policyAdmin = await PolicyGuardAdmin.deploy();
+    const policyValidation = await PolicyGuardValidation.deploy();
+
     const PolicyGuard = await ethers.getContractFactory("PolicyGuard");
-    const policyGuard = await PolicyGuard.deploy();
+    const policyGuard = await PolicyGuard.deploy(
+      await policyConfig.getAddress(),
+      await policyAdmin.getAddress(),
+      await policyValidation.getAddress()
+    );
 
     // Deploy StrategyRouter
+    const StrategyRouterKeeper = await ethers.getContractFactory(
+      "StrategyRouterKeeper"
+    );
+    const routerKeeper = await StrategyRouterKeeper.deploy();
     const StrategyRouter = await ethers.getContractFactory("StrategyRouter");
     const strategyRouter = await StrategyRouter.deploy(
-      await policyGuard.getAddress()
+      await policyGuard.getAddress(),
+      await routerKeeper.getAddress()
     );
 
     // Deploy SafeExecutor
@@ -196,6 +218,7 @@ describe("Integration Tests - Full Flow", function () {
       // First transfer: 60 ETH
       await policyGuard.validateTransfer(
         user1.address,
+        ethers.ZeroAddress,
         await aaveAdapter.getAddress(),
         ethers.parseEther("60")
       );
@@ -203,6 +226,7 @@ describe("Integration Tests - Full Flow", function () {
       // Second transfer: 30 ETH (total 90, within limit)
       const tx1 = await policyGuard.validateTransfer(
         user1.address,
+        ethers.ZeroAddress,
         await aaveAdapter.getAddress(),
         ethers.parseEther("30")
       );
@@ -211,13 +235,17 @@ describe("Integration Tests - Full Flow", function () {
       // Third transfer: 20 ETH (total 110, exceeds 100 limit)
       const tx2 = await policyGuard.validateTransfer(
         user1.address,
+        ethers.ZeroAddress,
         await aaveAdapter.getAddress(),
         ethers.parseEther("20")
       );
       await expect(tx2).to.emit(policyGuard, "TransferBlocked");
 
       // Check remaining limit
-      const remaining = await policyGuard.getRemainingDailyLimit(user1.address);
+      const remaining = await policyGuard.getRemainingDailyLimit(
+        user1.address,
+        ethers.ZeroAddress
+      );
       expect(remaining).to.equal(ethers.parseEther("10"));
     });
 
@@ -236,18 +264,25 @@ describe("Integration Tests - Full Flow", function () {
       // Use up daily limit
       await policyGuard.validateTransfer(
         user1.address,
+        ethers.ZeroAddress,
         await aaveAdapter.getAddress(),
         ethers.parseEther("100")
       );
 
-      let remaining = await policyGuard.getRemainingDailyLimit(user1.address);
+      let remaining = await policyGuard.getRemainingDailyLimit(
+        user1.address,
+        ethers.ZeroAddress
+      );
       expect(remaining).to.equal(0);
 
       // Fast forward 24 hours
       await time.increase(86401);
 
       // Limit should be reset
-      remaining = await policyGuard.getRemainingDailyLimit(user1.address);
+      remaining = await policyGuard.getRemainingDailyLimit(
+        user1.address,
+        ethers.ZeroAddress
+      );
       expect(remaining).to.equal(ethers.parseEther("100"));
     });
   });
@@ -338,6 +373,7 @@ describe("Integration Tests - Full Flow", function () {
       // Normal transfer works
       await policyGuard.validateTransfer(
         user1.address,
+        ethers.ZeroAddress,
         await aaveAdapter.getAddress(),
         ethers.parseEther("10")
       );
@@ -351,6 +387,7 @@ describe("Integration Tests - Full Flow", function () {
       await expect(
         policyGuard.validateTransfer(
           user1.address,
+          ethers.ZeroAddress,
           await aaveAdapter.getAddress(),
           ethers.parseEther("10")
         )
@@ -375,6 +412,7 @@ describe("Integration Tests - Full Flow", function () {
       // Transfer blocked due to high risk
       const tx = await policyGuard.validateTransfer(
         user1.address,
+        ethers.ZeroAddress,
         await aaveAdapter.getAddress(),
         ethers.parseEther("10")
       );
@@ -434,13 +472,17 @@ describe("Integration Tests - Full Flow", function () {
       // 5. Validate transfer through PolicyGuard
       const validateTx = await policyGuard.validateTransfer(
         user1.address,
+        ethers.ZeroAddress,
         bestAdapter,
         ethers.parseEther("100")
       );
       await expect(validateTx).to.emit(policyGuard, "TransferValidated");
 
       // 6. Check remaining daily limit
-      const remaining = await policyGuard.getRemainingDailyLimit(user1.address);
+      const remaining = await policyGuard.getRemainingDailyLimit(
+        user1.address,
+        ethers.ZeroAddress
+      );
       expect(remaining).to.equal(ethers.parseEther("900"));
     });
   });
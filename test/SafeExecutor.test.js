@@ -587,6 +587,70 @@ describe("SafeExecutor", function () {
     });
   });
 
+  describe("Pause and Admin", function () {
+    it("Should transfer ownership in two steps", async function () {
+      const { safeExecutor, owner, user1 } = await loadFixture(
+        deploySafeExecutorFixture
+      );
+
+      await safeExecutor.connect(owner).transferOwnership(user1.address);
+      expect(await safeExecutor.owner()).to.equal(owner.address);
+
+      await expect(safeExecutor.connect(user1).acceptOwnership())
+        .to.emit(safeExecutor, "OwnershipTransferred")
+        .withArgs(owner.address, user1.address);
+      expect(await safeExecutor.owner()).to.equal(user1.address);
+    });
+
+    it("Should block queueing and execution while paused", async function () {
+      const { safeExecutor, mockSafe, owner, router, signer1, user1 } =
+        await loadFixture(deploySafeExecutorFixture);
+
+      await safeExecutor
+        .connect(signer1)
+        .registerSafe(await mockSafe.getAddress(), 1, [signer1.address], 0);
+      await safeExecutor
+        .connect(owner)
+        .grantRole(await safeExecutor.GUARDIAN_ROLE(), user1.address);
+
+      await expect(safeExecutor.connect(user1).pause("Incident"))
+        .to.emit(safeExecutor, "ExecutorPaused")
+        .withArgs("Incident");
+
+      await expect(
+        safeExecutor
+          .connect(router)
+          .queueTransaction(await mockSafe.getAddress(), user1.address, 0, "0x")
+      ).to.be.revertedWithCustomError(safeExecutor, "IsPaused");
+      await expect(
+        safeExecutor.connect(signer1).executeTransaction(ethers.ZeroHash)
+      ).to.be.revertedWithCustomError(safeExecutor, "IsPaused");
+
+      await expect(
+        safeExecutor.connect(user1).unpause()
+      ).to.be.revertedWithCustomError(safeExecutor, "MissingRole");
+      await safeExecutor.connect(owner).unpause();
+      expect(await safeExecutor.paused()).to.equal(false);
+    });
+
+    it("Should let admins update the strategy router", async function () {
+      const { safeExecutor, owner, router, user1 } = await loadFixture(
+        deploySafeExecutorFixture
+      );
+
+      await safeExecutor
+        .connect(owner)
+        .grantRole(await safeExecutor.ADMIN_ROLE(), user1.address);
+
+      await expect(safeExecutor.connect(user1).setStrategyRouter(owner.address))
+        .to.emit(safeExecutor, "StrategyRouterUpdated")
+        .withArgs(router.address, owner.address);
+      await expect(
+        safeExecutor.connect(router).setStrategyRouter(router.address)
+      ).to.be.revertedWithCustomError(safeExecutor, "MissingRole");
+    });
+  });
+
   describe("View Functions", function () {
     it("Should check if transaction can execute", async function () {
       const {
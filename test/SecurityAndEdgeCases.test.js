@@ -10,12 +10,34 @@ describe("Security & Edge Cases", function () {
     const [owner, user1, user2, attacker, signer1, signer2, signer3] =
       await ethers.getSigners();
 
+    const PolicyGuardConfig = await ethers.getContractFactory(
+      "PolicyGuardConfig"
+    );
+    const PolicyGuardAdmin = await ethers.getContractFactory(
+      "PolicyGuardAdmin"
+    );
+    const PolicyGuardValidation = await ethers.getContractFactory(
+      "PolicyGuardValidation"
+    );
+    const policyConfig = await PolicyGuardConfig.deploy();
+    const policyAdmin = await PolicyGuardAdmin.deploy();
+    const policyValidation = await PolicyGuardValidation.deploy();
+
     const PolicyGuard = await ethers.getContractFactory("PolicyGuard");
-    const policyGuard = await PolicyGuard.deploy();
+    const policyGuard = await PolicyGuard.deploy(
+      await policyConfig.getAddress(),
+      await policyAdmin.getAddress(),
+      await policyValidation.getAddress()
+    );
 
+    const StrategyRouterKeeper = await ethers.getContractFactory(
+      "StrategyRouterKeeper"
+    );
+    const routerKeeper = await StrategyRouterKeeper.deploy();
     const StrategyRouter = await ethers.getContractFactory("StrategyRouter");
     const strategyRouter = await StrategyRouter.deploy(
-      await policyGuard.getAddress()
+      await policyGuard.getAddress(),
+      await routerKeeper.getAddress()
     );
 
     const MockAdapter = await ethers.getContractFactory("MockAdapter");
@@ -78,22 +100,28 @@ describe("Security & Edge Cases", function () {
       // Multiple rapid transfers should all be tracked correctly
       await policyGuard.validateTransfer(
         user1.address,
+        ethers.ZeroAddress,
         await adapter1.getAddress(),
         ethers.parseEther("30")
       );
       await policyGuard.validateTransfer(
         user1.address,
+        ethers.ZeroAddress,
         await adapter1.getAddress(),
         ethers.parseEther("30")
       );
       await policyGuard.validateTransfer(
         user1.address,
+        ethers.ZeroAddress,
         await adapter1.getAddress(),
         ethers.parseEther("30")
       );
 
       // Should have 10 ETH remaining (100 - 90)
-      const remaining = await policyGuard.getRemainingDailyLimit(user1.address);
+      const remaining = await policyGuard.getRemainingDailyLimit(
+        user1.address,
+        ethers.ZeroAddress
+      );
       expect(remaining).to.equal(ethers.parseEther("10"));
     });
   });
@@ -110,7 +138,7 @@ describe("Security & Edge Cases", function () {
           policyGuard
             .connect(attacker)
             .whitelistProtocol(await adapter1.getAddress(), 3)
-        ).to.be.revertedWithCustomError(policyGuard, "NotOwner");
+        ).to.be.revertedWithCustomError(policyGuard, "MissingRole");
       });
 
       it("Should prevent non-owner from emergency pausing", async function () {
@@ -126,7 +154,33 @@ describe("Security & Edge Cases", function () {
           policyGuard
             .connect(attacker)
             .emergencyPause(user1.address, "Malicious pause")
-        ).to.be.revertedWithCustomError(policyGuard, "NotOwner");
+        ).to.be.revertedWithCustomError(policyGuard, "MissingRole");
+      });
+
+      it("Should prevent unauthorized callers from validating transfers", async function () {
+        const { policyGuard, adapter1, user1, attacker } = await loadFixture(
+          deployFullSystemFixture
+        );
+
+        await policyGuard
+          .connect(user1)
+          .createPolicy(ethers.parseEther("100"), 5000, 10, false);
+
+        const args = [
+          user1.address,
+          ethers.ZeroAddress,
+          await adapter1.getAddress(),
+          ethers.parseEther("1"),
+        ];
+        await expect(
+          policyGuard.connect(attacker).validateTransfer(...args)
+        ).to.be.revertedWithCustomError(policyGuard, "NotAuthorized");
+        await expect(
+          policyGuard.connect(attacker).validateDeposit(...args)
+        ).to.be.revertedWithCustomError(policyGuard, "NotAuthorized");
+        await expect(
+          policyGuard.connect(attacker).validateWithdrawal(...args)
+        ).to.be.revertedWithCustomError(policyGuard, "NotAuthorized");
       });
 
       it("Should allow user to only modify their own policy", async function () {
@@ -165,7 +219,7 @@ describe("Security & Edge Cases", function () {
           strategyRouter
             .connect(attacker)
             .registerAdapter(await adapter1.getAddress(), "Malicious")
-        ).to.be.revertedWithCustomError(strategyRouter, "NotOwner");
+        ).to.be.revertedWithCustomError(strategyRouter, "MissingRole");
       });
 
       it("Should prevent non-intent-owner from executing routes", async function () {
@@ -380,6 +434,7 @@ describe("Security & Edge Cases", function () {
         // Exact limit should succeed
         const tx = await policyGuard.validateTransfer(
           user1.address,
+          ethers.ZeroAddress,
           await adapter1.getAddress(),
           ethers.parseEther("100")
         );
@@ -388,6 +443,7 @@ describe("Security & Edge Cases", function () {
         // Any additional should fail
         const tx2 = await policyGuard.validateTransfer(
           user1.address,
+          ethers.ZeroAddress,
           await adapter1.getAddress(),
           1
         );
@@ -833,18 +889,25 @@ describe("Security & Edge Cases", function () {
       // Use full limit
       await policyGuard.validateTransfer(
         user1.address,
+        ethers.ZeroAddress,
         await adapter1.getAddress(),
         ethers.parseEther("100")
       );
-      expect(await policyGuard.getRemainingDailyLimit(user1.address)).to.equal(
-        0
-      );
+      expect(
+        await policyGuard.getRemainingDailyLimit(
+          user1.address,
+          ethers.ZeroAddress
+        )
+      ).to.equal(0);
 
       // After 24 hours - should reset
       await time.increase(86401);
-      expect(await policyGuard.getRemainingDailyLimit(user1.address)).to.equal(
-        ethers.parseEther("100")
-      );
+      expect(
+        await policyGuard.getRemainingDailyLimit(
+          user1.address,
+          ethers.ZeroAddress
+        )
+      ).to.equal(ethers.parseEther("100"));
     });
 
     it("Transaction delay should be enforced", async function () {
@@ -915,19 +978,26 @@ describe("Security & Edge Cases", function () {
       // User1 uses 80 ETH
       await policyGuard.validateTransfer(
         user1.address,
+        ethers.ZeroAddress,
         await adapter1.getAddress(),
         ethers.parseEther("80")
       );
 
       // User2 should still have full 50 ETH
-      expect(await policyGuard.getRemainingDailyLimit(user2.address)).to.equal(
-        ethers.parseEther("50")
-      );
+      expect(
+        await policyGuard.getRemainingDailyLimit(
+          user2.address,
+          ethers.ZeroAddress
+        )
+      ).to.equal(ethers.parseEther("50"));
 
       // User1 should have 20 ETH remaining
-      expect(await policyGuard.getRemainingDailyLimit(user1.address)).to.equal(
-        ethers.parseEther("20")
-      );
+      expect(
+        await policyGuard.getRemainingDailyLimit(
+          user1.address,
+          ethers.ZeroAddress
+        )
+      ).to.equal(ethers.parseEther("20"));
     });
 
     it("Multiple users can create intents independently", async function () {
@@ -1002,12 +1072,14 @@ describe("Security & Edge Cases", function () {
       // 30 ETH to adapter1
       await policyGuard.validateTransfer(
         user1.address,
+        ethers.ZeroAddress,
         await adapter1.getAddress(),
         ethers.parseEther("30")
       );
       // 20 ETH to adapter2
       await policyGuard.validateTransfer(
         user1.address,
+        ethers.ZeroAddress,
         await adapter2.getAddress(),
         ethers.parseEther("20")
       );
@@ -1042,6 +1114,7 @@ describe("Security & Edge Cases", function () {
       // Add 15 ETH exposure
       await policyGuard.validateTransfer(
         user1.address,
+        ethers.ZeroAddress,
         await adapter1.getAddress(),
         ethers.parseEther("15")
       );
@@ -1152,6 +1225,9 @@ describe("Security & Edge Cases", function () {
       await policyGuard
         .connect(owner)
         .whitelistProtocol(await adapter2.getAddress(), 5);
+      await policyGuard
+        .connect(owner)
+        .authorizeCaller(await strategyRouter.getAddress());
 
       const tx = await strategyRouter
         .connect(user1)
@@ -1,21 +1,62 @@
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
+const { anyValue } = require("@nomicfoundation/hardhat-chai-matchers/withArgs");
 const {
   loadFixture,
+  time,
 } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
 
+// Router values of the ReasonCode enum in contracts/ReasonCodes.sol
+const ReasonCode = {
+  NONE: 0n,
+  USER_BLACKLISTED: 2n,
+  DAILY_LIMIT: 7n,
+  EXPOSURE_LIMIT: 11n,
+  CATEGORY_EXPOSURE_LIMIT: 12n,
+  ROUTER_PAUSED: 13n,
+  EMPTY_ROUTES: 14n,
+  INTENT_NOT_ACTIVE: 15n,
+  SOURCE_NOT_REGISTERED: 16n,
+  DESTINATION_NOT_REGISTERED: 17n,
+  INSUFFICIENT_BALANCE: 18n,
+  LIQUIDITY_RESERVE: 24n,
+  ASSET_MISMATCH: 25n,
+};
+
 describe("StrategyRouter", function () {
   async function deployStrategyRouterFixture() {
     const [owner, user1, user2, attacker] = await ethers.getSigners();
 
     // Deploy PolicyGuard first
+    const PolicyGuardConfig = await ethers.getContractFactory(
+      "PolicyGuardConfig"
+    );
+    const PolicyGuardAdmin = await ethers.getContractFactory(
+      "PolicyGuardAdmin"
+    );
+    const PolicyGuardValidation = await ethers.getContractFactory(
+      "PolicyGuardValidation"
+    );
+    const policyConfig = await PolicyGuardConfig.deploy();
+    const policyAdmin = await PolicyGuardAdmin.deploy();
+    const policyValidation = await PolicyGuardValidation.deploy();
+
     const PolicyGuard = await ethers.getContractFactory("PolicyGuard");
-    const policyGuard = await PolicyGuard.deploy();
+    const policyGuard = await PolicyGuard.deploy(
+      await policyConfig.getAddress(),
+      await policyAdmin.getAddress(),
+      await policyValidation.getAddress()
+    );
 
     // Deploy StrategyRouter
+    const StrategyRouterKeeper = await ethers.getContractFactory(
+      "StrategyRouterKeeper"
+    );
+    const routerKeeper = await StrategyRouterKeeper.deploy();
     const StrategyRouter = await ethers.getContractFactory("StrategyRouter");
     const strategyRouter = await StrategyRouter.deploy(
-      await policyGuard.getAddress()
+      await policyGuard.getAddress(),
+      await routerKeeper.getAddress()
     );
 
     // Deploy mock adapters
@@ -45,6 +86,46 @@ describe("StrategyRouter", function () {
     };
   }
 
+  async function deployCustodyFixture() {
+    const fixture = await deployStrategyRouterFixture();
+    const { strategyRouter, policyGuard, adapter1, adapter2, owner, user1 } =
+      fixture;
+
+    const MockERC20 = await ethers.getContractFactory("MockERC20");
+    const token = await MockERC20.deploy("Mock USD", "mUSD");
+    const tokenAddress = await token.getAddress();
+
+    await strategyRouter
+      .connect(owner)
+      .registerAdapter(await adapter1.getAddress(), "Aave");
+    await strategyRouter
+      .connect(owner)
+      .registerAdapter(await adapter2.getAddress(), "Compound");
+    await adapter1.setMockAsset(tokenAddress);
+    await adapter2.setMockAsset(tokenAddress);
+    await policyGuard
+      .connect(owner)
+      .authorizeCaller(await strategyRouter.getAddress());
+
+    await policyGuard
+      .connect(user1)
+      .createPolicy(ethers.parseEther("100"), 10000, 10, false);
+    await token.mint(user1.address, ethers.parseEther("100"));
+    await token
+      .connect(user1)
+      .approve(await strategyRouter.getAddress(), ethers.MaxUint256);
+
+    const tx = await strategyRouter
+      .connect(user1)
+      .createIntent(800, 5, 0, ethers.parseEther("0.01"));
+    const receipt = await tx.wait();
+    const event = receipt.logs
+      .map((log) => strategyRouter.interface.parseLog(log))
+      .find((parsed) => parsed?.name === "IntentCreated");
+
+    return { ...fixture, token, intentId: event.args.intentId };
+  }
+
   describe("Deployment", function () {
     it("Should set the correct owner", async function () {
       const { strategyRouter, owner } = await loadFixture(
@@ -61,6 +142,46 @@ describe("StrategyRouter", function () {
         await policyGuard.getAddress()
       );
     });
+
+    it("Should delegate to its keeper module", async function () {
+      const { strategyRouter, owner } = await loadFixture(
+        deployStrategyRouterFixture
+      );
+
+      const keeper = await ethers.getContractAt(
+        "StrategyRouterKeeper",
+        await strategyRouter.KEEPER_MODULE()
+      );
+
+      // Calling the module directly only touches the module's own storage;
+      // through the router the call runs against the router's storage
+      await keeper.connect(owner).setKeeperReward(100);
+      expect(await strategyRouter.keeperRewardBps()).to.equal(0);
+
+      await strategyRouter.connect(owner).setKeeperReward(500);
+      expect(await strategyRouter.keeperRewardBps()).to.equal(500);
+      expect(await keeper.keeperRewardBps()).to.equal(100);
+    });
+
+    it("Should reject a missing PolicyGuard or keeper module", async function () {
+      const { strategyRouter, policyGuard } = await loadFixture(
+        deployStrategyRouterFixture
+      );
+      const StrategyRouter = await ethers.getContractFactory("StrategyRouter");
+
+      await expect(
+        StrategyRouter.deploy(
+          ethers.ZeroAddress,
+          await strategyRouter.KEEPER_MODULE()
+        )
+      ).to.be.revertedWithCustomError(StrategyRouter, "ZeroAddress");
+      await expect(
+        StrategyRouter.deploy(
+          await policyGuard.getAddress(),
+          ethers.ZeroAddress
+        )
+      ).to.be.revertedWithCustomError(StrategyRouter, "ZeroAddress");
+    });
   });
 
   describe("Intent Creation", function () {
@@ -164,6 +285,87 @@ describe("StrategyRouter", function () {
       expect(intent.maxRisk).to.equal(5);
       expect(intent.active).to.equal(true);
     });
+
+    it("Should give identical intents in the same block distinct IDs", async function () {
+      const { strategyRouter, user1 } = await loadFixture(
+        deployStrategyRouterFixture
+      );
+
+      await ethers.provider.send("evm_setAutomine", [false]);
+      try {
+        for (let i = 0; i < 2; i++) {
+          await strategyRouter.connect(user1).createIntent(
+            800,
+            5,
+            ethers.parseEther("1"),
+            ethers.parseEther("0.01"),
+            // Without automine the default gas limit fills the whole block
+            { gasLimit: 500_000 }
+          );
+        }
+        await ethers.provider.send("evm_mine", []);
+      } finally {
+        await ethers.provider.send("evm_setAutomine", [true]);
+      }
+
+      const coder = ethers.AbiCoder.defaultAbiCoder();
+      const expected = [0, 1].map((nonce) =>
+        ethers.keccak256(
+          coder.encode(["address", "uint256"], [user1.address, nonce])
+        )
+      );
+
+      expect(await strategyRouter.getUserIntentCount(user1.address)).to.equal(
+        2
+      );
+      expect(
+        await strategyRouter.getUserIntents(user1.address, 0, 10)
+      ).to.deep.equal(expected);
+      for (const intentId of expected) {
+        expect(await strategyRouter.isIntentActive(intentId)).to.equal(true);
+      }
+    });
+
+    it("Should page through a user's intents", async function () {
+      const { strategyRouter, user1, user2 } = await loadFixture(
+        deployStrategyRouterFixture
+      );
+
+      const ids = [];
+      for (let i = 0; i < 3; i++) {
+        const tx = await strategyRouter
+          .connect(user1)
+          .createIntent(
+            800,
+            5,
+            ethers.parseEther("1"),
+            ethers.parseEther("0.01")
+          );
+        const receipt = await tx.wait();
+        const event = receipt.logs
+          .map((log) => strategyRouter.interface.parseLog(log))
+          .find((parsed) => parsed?.name === "IntentCreated");
+        ids.push(event.args.intentId);
+      }
+      await strategyRouter.connect(user1).deactivateIntent(ids[1]);
+
+      // Deactivated intents stay listed
+      expect(await strategyRouter.getUserIntentCount(user1.address)).to.equal(
+        3
+      );
+      expect(
+        await strategyRouter.getUserIntents(user1.address, 0, 2)
+      ).to.deep.equal(ids.slice(0, 2));
+      expect(
+        await strategyRouter.getUserIntents(user1.address, 2, 2)
+      ).to.deep.equal(ids.slice(2));
+      expect(
+        await strategyRouter.getUserIntents(user1.address, 3, 2)
+      ).to.deep.equal([]);
+      expect(await strategyRouter.getUserIntentCount(user2.address)).to.equal(
+        0
+      );
+    });
   });
 
   describe("Intent Updates", function () {
@@ -261,6 +463,239 @@ describe("StrategyRouter", function () {
       const intent = await strategyRouter.getIntent(intentId);
       expect(intent.active).to.equal(false);
     });
+
+    it("Should block intent owners only while their blacklist entry is in force", async function () {
+      const { strategyRouter, policyGuard, owner, user1 } = await loadFixture(
+        deployStrategyRouterFixture
+      );
+
+      const tx = await strategyRouter
+        .connect(user1)
+        .createIntent(800, 5, ethers.parseEther("1"), ethers.parseEther("0.1"));
+      const receipt = await tx.wait();
+      const event = receipt.logs.find((log) => {
+        try {
+          return (
+            strategyRouter.interface.parseLog(log)?.name === "IntentCreated"
+          );
+        } catch {
+          return false;
+        }
+      });
+      const intentId = strategyRouter.interface.parseLog(event).args.intentId;
+
+      const expiresAt = (await time.latest()) + 86400;
+      await policyGuard
+        .connect(owner)
+        .addBlacklistEntry(user1.address, 3, expiresAt, "Incident review"); // SECURITY_INCIDENT
+
+      await expect(
+        strategyRouter.connect(user1).deactivateIntent(intentId)
+      ).to.be.revertedWithCustomError(strategyRouter, "UserBlacklisted");
+
+      await time.increaseTo(expiresAt);
+      await expect(
+        strategyRouter.connect(user1).deactivateIntent(intentId)
+      ).to.emit(strategyRouter, "IntentDeactivated");
+    });
+  });
+
+  describe("Signed Intent Actions", function () {
+    const DAY = 24 * 60 * 60;
+    const Types = {
+      CreateIntent: [
+        { name: "user", type: "address" },
+        { name: "targetAPY", type: "uint256" },
+        { name: "maxRisk", type: "uint256" },
+        { name: "liquidityReserve", type: "uint256" },
+        { name: "maxGasCost", type: "uint256" },
+        { name: "nonce", type: "uint256" },
+        { name: "deadline", type: "uint256" },
+      ],
+      UpdateIntent: [
+        { name: "user", type: "address" },
+        { name: "intentId", type: "bytes32" },
+        { name: "targetAPY", type: "uint256" },
+        { name: "maxRisk", type: "uint256" },
+        { name: "liquidityReserve", type: "uint256" },
+        { name: "maxGasCost", type: "uint256" },
+        { name: "nonce", type: "uint256" },
+        { name: "deadline", type: "uint256" },
+      ],
+      DeactivateIntent: [
+        { name: "user", type: "address" },
+        { name: "intentId", type: "bytes32" },
+        { name: "nonce", type: "uint256" },
+        { name: "deadline", type: "uint256" },
+      ],
+    };
+
+    // Sign an action and return its fields in the order the *WithSig functions take them
+    async function sign(strategyRouter, signer, primaryType, fields) {
+      const { chainId } = await ethers.provider.getNetwork();
+      const domain = {
+        name: "NeoMesh StrategyRouter",
+        version: "1.0.0",
+        chainId,
+        verifyingContract: await strategyRouter.getAddress(),
+      };
+      const value = {
+        nonce: await strategyRouter.nonces(fields.user),
+        deadline: (await time.latest()) + DAY,
+        ...fields,
+      };
+      const signature = await signer.signTypedData(
+        domain,
+        { [primaryType]: Types[primaryType] },
+        value
+      );
+      const args = Types[primaryType]
+        .map(({ name }) => name)
+        .filter((name) => name !== "nonce")
+        .map((name) => value[name]);
+      return [...args, signature];
+    }
+
+    async function relayedIntentFixture() {
+      const fixture = await deployStrategyRouterFixture();
+      const { strategyRouter, user1, user2 } = fixture;
+
+      const args = await sign(strategyRouter, user1, "CreateIntent", {
+        user: user1.address,
+        targetAPY: 800,
+        maxRisk: 5,
+        liquidityReserve: ethers.parseEther("1"),
+        maxGasCost: ethers.parseEther("0.01"),
+      });
+      const tx = await strategyRouter
+        .connect(user2)
+        .createIntentWithSig(...args);
+      const receipt = await tx.wait();
+      const intentId = receipt.logs.find(
+        (log) => log.fragment && log.fragment.name === "IntentCreated"
+      ).args.intentId;
+
+      return { ...fixture, intentId };
+    }
+
+    it("Should create an intent relayed on behalf of the signer", async function () {
+      const { strategyRouter, user1, intentId } = await loadFixture(
+        relayedIntentFixture
+      );
+
+      const intent = await strategyRouter.intents(intentId);
+      expect(intent.user).to.equal(user1.address);
+      expect(intent.active).to.equal(true);
+      expect(await strategyRouter.nonces(user1.address)).to.equal(1);
+    });
+
+    it("Should update and deactivate intents with signatures", async function () {
+      const { strategyRouter, user1, user2, intentId } = await loadFixture(
+        relayedIntentFixture
+      );
+
+      const update = await sign(strategyRouter, user1, "UpdateIntent", {
+        user: user1.address,
+        intentId,
+        targetAPY: 1000,
+        maxRisk: 7,
+        liquidityReserve: ethers.parseEther("2"),
+        maxGasCost: ethers.parseEther("0.02"),
+      });
+      await expect(strategyRouter.connect(user2).updateIntentWithSig(...update))
+        .to.emit(strategyRouter, "IntentUpdated")
+        .withArgs(
+          intentId,
+          1000,
+          7,
+          ethers.parseEther("2"),
+          ethers.parseEther("0.02")
+        );
+
+      const deactivate = await sign(strategyRouter, user1, "DeactivateIntent", {
+        user: user1.address,
+        intentId,
+      });
+      await expect(
+        strategyRouter.connect(user2).deactivateIntentWithSig(...deactivate)
+      )
+        .to.emit(strategyRouter, "IntentDeactivated")
+        .withArgs(intentId, user1.address);
+      expect((await strategyRouter.intents(intentId)).active).to.equal(false);
+    });
+
+    it("Should reject signatures from anyone but the intent owner", async function () {
+      const { strategyRouter, user1, user2, intentId } = await loadFixture(
+        relayedIntentFixture
+      );
+
+      // Signed by the claimed user, but the intent belongs to someone else
+      const foreign = await sign(strategyRouter, user2, "DeactivateIntent", {
+        user: user2.address,
+        intentId,
+      });
+      await expect(
+        strategyRouter.deactivateIntentWithSig(...foreign)
+      ).to.be.revertedWithCustomError(strategyRouter, "NotIntentOwner");
+
+      // Claims the owner, signed by someone else
+      const forged = await sign(strategyRouter, user2, "DeactivateIntent", {
+        user: user1.address,
+        intentId,
+      });
+      await expect(
+        strategyRouter.deactivateIntentWithSig(...forged)
+      ).to.be.revertedWithCustomError(strategyRouter, "InvalidSignature");
+    });
+
+    it("Should reject replayed and expired signatures", async function () {
+      const { strategyRouter, user1, intentId } = await loadFixture(
+        relayedIntentFixture
+      );
+      const fields = {
+        user: user1.address,
+        intentId,
+        targetAPY: 900,
+        maxRisk: 5,
+        liquidityReserve: ethers.parseEther("1"),
+        maxGasCost: ethers.parseEther("0.01"),
+      };
+
+      const update = await sign(strategyRouter, user1, "UpdateIntent", fields);
+      await strategyRouter.updateIntentWithSig(...update);
+      await expect(
+        strategyRouter.updateIntentWithSig(...update)
+      ).to.be.revertedWithCustomError(strategyRouter, "InvalidSignature");
+
+      const expired = await sign(strategyRouter, user1, "UpdateIntent", {
+        ...fields,
+        deadline: (await time.latest()) - 1,
+      });
+      await expect(
+        strategyRouter.updateIntentWithSig(...expired)
+      ).to.be.revertedWithCustomError(strategyRouter, "SignatureExpired");
+    });
+
+    it("Should accept ERC-1271 signatures from contract accounts", async function () {
+      const { strategyRouter, user1 } = await loadFixture(
+        deployStrategyRouterFixture
+      );
+      const MockERC1271Wallet = await ethers.getContractFactory(
+        "MockERC1271Wallet"
+      );
+      const wallet = await MockERC1271Wallet.deploy(user1.address);
+
+      const args = await sign(strategyRouter, user1, "CreateIntent", {
+        user: await wallet.getAddress(),
+        targetAPY: 800,
+        maxRisk: 5,
+        liquidityReserve: 0,
+        maxGasCost: ethers.parseEther("0.01"),
+      });
+      await expect(strategyRouter.createIntentWithSig(...args))
+        .to.emit(strategyRouter, "IntentCreated")
+        .withArgs(anyValue, await wallet.getAddress(), 800, 5);
+    });
   });
 
   describe("Adapter Registration", function () {
@@ -291,7 +726,24 @@ describe("StrategyRouter", function () {
         strategyRouter
           .connect(user1)
           .registerAdapter(await adapter1.getAddress(), "Aave")
-      ).to.be.revertedWithCustomError(strategyRouter, "NotOwner");
+      ).to.be.revertedWithCustomError(strategyRouter, "MissingRole");
+    });
+
+    it("Should allow risk managers to register adapters", async function () {
+      const { strategyRouter, adapter1, owner, user1 } = await loadFixture(
+        deployStrategyRouterFixture
+      );
+
+      await strategyRouter
+        .connect(owner)
+        .grantRole(await strategyRouter.RISK_MANAGER_ROLE(), user1.address);
+      await strategyRouter
+        .connect(user1)
+        .registerAdapter(await adapter1.getAddress(), "Aave");
+
+      expect(
+        await strategyRouter.registeredAdapters(await adapter1.getAddress())
+      ).to.equal(true);
     });
 
     it("Should revert with zero address", async function () {
@@ -401,29 +853,1748 @@ describe("StrategyRouter", function () {
     });
   });
 
-  describe("Optimal Route", function () {
-    it("Should find optimal route based on APY and risk", async function () {
-      const { strategyRouter, adapter1, adapter2, owner } = await loadFixture(
-        deployStrategyRouterFixture
+  describe("Route Execution", function () {
+    async function createIntentId(strategyRouter, user) {
+      const tx = await strategyRouter
+        .connect(user)
+        .createIntent(800, 5, ethers.parseEther("1"), ethers.parseEther("0.1"));
+      const receipt = await tx.wait();
+      const event = receipt.logs.find((log) => {
+        try {
+          return (
+            strategyRouter.interface.parseLog(log)?.name === "IntentCreated"
+          );
+        } catch {
+          return false;
+        }
+      });
+      return strategyRouter.interface.parseLog(event).args.intentId;
+    }
+
+    it("Should validate routes against the destination adapter's asset limit", async function () {
+      const { strategyRouter, policyGuard, adapter1, adapter2, owner, user1 } =
+        await loadFixture(deployStrategyRouterFixture);
+      const MockERC20 = await ethers.getContractFactory("MockERC20");
+      const erc20 = await MockERC20.deploy("Mock USD", "mUSD");
+      const token = await erc20.getAddress();
+
+      await strategyRouter
+        .connect(owner)
+        .registerAdapter(await adapter1.getAddress(), "Aave");
+      await strategyRouter
+        .connect(owner)
+        .registerAdapter(await adapter2.getAddress(), "Compound");
+      await adapter1.setMockAsset(token);
+      await adapter2.setMockAsset(token);
+      await adapter1.setUserBalance(user1.address, ethers.parseEther("10"));
+      await erc20.mint(await adapter1.getAddress(), ethers.parseEther("10"));
+
+      await policyGuard
+        .connect(user1)
+        .createPolicy(ethers.parseEther("100"), 5000, 10, false);
+      await policyGuard
+        .connect(user1)
+        .setAssetLimit(token, ethers.parseEther("2"));
+      await policyGuard
+        .connect(owner)
+        .authorizeCaller(await strategyRouter.getAddress());
+
+      const intentId = await createIntentId(strategyRouter, user1);
+      const route = {
+        fromAdapter: await adapter1.getAddress(),
+        toAdapter: await adapter2.getAddress(),
+        amount: ethers.parseEther("2"),
+        minReceived: 0,
+        data: "0x",
+      };
+
+      await expect(
+        strategyRouter.connect(user1).executeRoute(intentId, [route])
+      ).to.emit(strategyRouter, "FundsRouted");
+      expect(await erc20.balanceOf(route.toAdapter)).to.equal(
+        ethers.parseEther("2")
       );
 
+      // The token bucket is now exhausted while native ETH is untouched
+      expect(
+        await policyGuard.getRemainingDailyLimit(user1.address, token)
+      ).to.equal(0);
+      expect(
+        await policyGuard.getRemainingDailyLimit(
+          user1.address,
+          ethers.ZeroAddress
+        )
+      ).to.equal(ethers.parseEther("100"));
+
+      await expect(
+        strategyRouter.connect(user1).executeRoute(intentId, [route])
+      ).to.be.revertedWithCustomError(strategyRouter, "PolicyViolation");
+    });
+
+    it("Should move nothing when any leg of a route is blocked", async function () {
+      const { strategyRouter, policyGuard, adapter1, adapter2, owner, user1 } =
+        await loadFixture(deployStrategyRouterFixture);
+      const MockERC20 = await ethers.getContractFactory("MockERC20");
+      const erc20 = await MockERC20.deploy("Mock USD", "mUSD");
+      const token = await erc20.getAddress();
+
       await strategyRouter
         .connect(owner)
         .registerAdapter(await adapter1.getAddress(), "Aave");
       await strategyRouter
         .connect(owner)
         .registerAdapter(await adapter2.getAddress(), "Compound");
+      await adapter1.setMockAsset(token);
+      await adapter2.setMockAsset(token);
+      await adapter1.setUserBalance(user1.address, ethers.parseEther("10"));
+      await erc20.mint(await adapter1.getAddress(), ethers.parseEther("10"));
 
-      // adapter1: 8% APY, risk 3
-      // adapter2: 6% APY, risk 5
-      const [bestAdapter, expectedAPY] = await strategyRouter.getOptimalRoute(
-        ethers.ZeroHash,
-        500,
-        5
+      await policyGuard
+        .connect(user1)
+        .createPolicy(ethers.parseEther("100"), 5000, 10, false);
+      await policyGuard
+        .connect(user1)
+        .setAssetLimit(token, ethers.parseEther("2"));
+      await policyGuard
+        .connect(owner)
+        .authorizeCaller(await strategyRouter.getAddress());
+
+      const intentId = await createIntentId(strategyRouter, user1);
+      const source = await adapter1.getAddress();
+      const destination = await adapter2.getAddress();
+      const leg = (amount) => ({
+        fromAdapter: source,
+        toAdapter: destination,
+        amount,
+        minReceived: 0,
+        data: "0x",
+      });
+
+      // The second leg alone exceeds the limit: the first leg is undone with it
+      await expect(
+        strategyRouter
+          .connect(user1)
+          .executeRoute(intentId, [
+            leg(ethers.parseEther("1")),
+            leg(ethers.parseEther("3")),
+          ])
+      ).to.be.revertedWithCustomError(strategyRouter, "PolicyViolation");
+      expect(await adapter1.getUserBalance(user1.address)).to.equal(
+        ethers.parseEther("10")
       );
 
-      expect(bestAdapter).to.equal(await adapter1.getAddress());
-      expect(expectedAPY).to.equal(800);
+      // Each leg fits on its own but not together: the whole route reverts
+      await expect(
+        strategyRouter
+          .connect(user1)
+          .executeRoute(intentId, [
+            leg(ethers.parseEther("1.5")),
+            leg(ethers.parseEther("1.5")),
+          ])
+      ).to.be.revertedWithCustomError(strategyRouter, "PolicyViolation");
+      expect(await adapter1.getUserBalance(user1.address)).to.equal(
+        ethers.parseEther("10")
+      );
+      expect(
+        await policyGuard.getRemainingDailyLimit(user1.address, token)
+      ).to.equal(ethers.parseEther("2"));
+    });
+
+    it("Should release the source adapter's exposure on every withdrawal leg", async function () {
+      const { strategyRouter, policyGuard, adapter1, adapter2, owner, user1 } =
+        await loadFixture(deployStrategyRouterFixture);
+      const source = await adapter1.getAddress();
+      const destination = await adapter2.getAddress();
+
+      await strategyRouter.connect(owner).registerAdapter(source, "Aave");
+      await strategyRouter
+        .connect(owner)
+        .registerAdapter(destination, "Compound");
+      await adapter1.setUserBalance(user1.address, ethers.parseEther("10"));
+      await policyGuard
+        .connect(user1)
+        .createPolicy(ethers.parseEther("100"), 10000, 10, false);
+      await policyGuard
+        .connect(owner)
+        .authorizeCaller(await strategyRouter.getAddress());
+
+      // Exposure from the original deposit into the source adapter
+      await policyGuard.validateTransfer(
+        user1.address,
+        ethers.ZeroAddress,
+        source,
+        ethers.parseEther("10")
+      );
+
+      const intentId = await createIntentId(strategyRouter, user1);
+      await expect(
+        strategyRouter.connect(user1).executeRoute(intentId, [
+          {
+            fromAdapter: source,
+            toAdapter: destination,
+            amount: ethers.parseEther("4"),
+            minReceived: 0,
+            data: "0x",
+          },
+        ])
+      )
+        .to.emit(policyGuard, "ExposureDecreased")
+        .withArgs(user1.address, source, ethers.parseEther("4"));
+
+      expect(
+        await policyGuard.getProtocolExposure(user1.address, source)
+      ).to.equal(ethers.parseEther("6"));
+      expect(
+        await policyGuard.getProtocolExposure(user1.address, destination)
+      ).to.equal(ethers.parseEther("4"));
+    });
+
+    it("Should report reason codes from canExecuteRoute", async function () {
+      const { strategyRouter, adapter1, adapter2, owner, user1 } =
+        await loadFixture(deployStrategyRouterFixture);
+
+      await strategyRouter
+        .connect(owner)
+        .registerAdapter(await adapter1.getAddress(), "Aave");
+      await adapter1.setUserBalance(user1.address, ethers.parseEther("1"));
+
+      const intentId = await createIntentId(strategyRouter, user1);
+      const route = {
+        fromAdapter: await adapter1.getAddress(),
+        toAdapter: await adapter2.getAddress(),
+        amount: ethers.parseEther("2"),
+        minReceived: 0,
+        data: "0x",
+      };
+
+      const [canExecute, code, reason] = await strategyRouter.canExecuteRoute(
+        intentId,
+        [route]
+      );
+      expect(canExecute).to.equal(false);
+      expect(code).to.equal(ReasonCode.DESTINATION_NOT_REGISTERED);
+      expect(reason).to.equal("Destination adapter not registered");
+
+      // The batch variant keeps going after the first failure
+      expect(
+        await strategyRouter.getRouteViolations(intentId, [route])
+      ).to.deep.equal([
+        ReasonCode.DESTINATION_NOT_REGISTERED,
+        ReasonCode.INSUFFICIENT_BALANCE,
+      ]);
+
+      await strategyRouter
+        .connect(owner)
+        .registerAdapter(await adapter2.getAddress(), "Compound");
+      await adapter1.setUserBalance(user1.address, ethers.parseEther("2"));
+      const [ok, okCode, okReason] = await strategyRouter.canExecuteRoute(
+        intentId,
+        [route]
+      );
+      expect(ok).to.equal(true);
+      expect(okCode).to.equal(ReasonCode.NONE);
+      expect(okReason).to.equal("");
+    });
+
+    it("Should report intent-level reason codes", async function () {
+      const { strategyRouter, owner } = await loadFixture(
+        deployStrategyRouterFixture
+      );
+
+      await strategyRouter.connect(owner).pause("Incident");
+      expect(
+        await strategyRouter.getRouteViolations(ethers.ZeroHash, [])
+      ).to.deep.equal([
+        ReasonCode.ROUTER_PAUSED,
+        ReasonCode.EMPTY_ROUTES,
+        ReasonCode.INTENT_NOT_ACTIVE,
+      ]);
+      expect(
+        (await strategyRouter.canExecuteRoute(ethers.ZeroHash, []))[1]
+      ).to.equal(ReasonCode.ROUTER_PAUSED);
+    });
+  });
+
+  describe("Token Custody", function () {
+    it("Should pull deposits into the adapter and bind the intent's asset", async function () {
+      const { strategyRouter, policyGuard, adapter1, token, user1, intentId } =
+        await loadFixture(deployCustodyFixture);
+      const adapter = await adapter1.getAddress();
+      const amount = ethers.parseEther("10");
+
+      await expect(
+        strategyRouter
+          .connect(user1)
+          .depositToIntent(intentId, await token.getAddress(), amount, adapter)
+      )
+        .to.emit(strategyRouter, "FundsDeposited")
+        .withArgs(intentId, adapter, await token.getAddress(), amount, amount);
+
+      expect(await token.balanceOf(adapter)).to.equal(amount);
+      expect(await token.balanceOf(user1.address)).to.equal(
+        ethers.parseEther("90")
+      );
+      expect(await adapter1.getUserBalance(user1.address)).to.equal(amount);
+      expect(
+        await policyGuard.getProtocolExposure(user1.address, adapter)
+      ).to.equal(amount);
+      expect((await strategyRouter.getIntent(intentId)).asset).to.equal(
+        await token.getAddress()
+      );
+    });
+
+    it("Should withdraw across adapters to the recipient and release exposure", async function () {
+      const {
+        strategyRouter,
+        policyGuard,
+        adapter1,
+        adapter2,
+        token,
+        user1,
+        user2,
+        intentId,
+      } = await loadFixture(deployCustodyFixture);
+      const tokenAddress = await token.getAddress();
+
+      await strategyRouter
+        .connect(user1)
+        .depositToIntent(
+          intentId,
+          tokenAddress,
+          ethers.parseEther("4"),
+          await adapter1.getAddress()
+        );
+      await strategyRouter
+        .connect(user1)
+        .depositToIntent(
+          intentId,
+          tokenAddress,
+          ethers.parseEther("6"),
+          await adapter2.getAddress()
+        );
+
+      // Adapters are drained in registration order
+      await expect(
+        strategyRouter
+          .connect(user1)
+          .withdrawFromIntent(intentId, ethers.parseEther("7"), user2.address)
+      )
+        .to.emit(strategyRouter, "FundsWithdrawn")
+        .withArgs(
+          intentId,
+          user2.address,
+          ethers.parseEther("7"),
+          ethers.parseEther("7")
+        );
+
+      expect(await token.balanceOf(user2.address)).to.equal(
+        ethers.parseEther("7")
+      );
+      expect(await token.balanceOf(await strategyRouter.getAddress())).to.equal(
+        0
+      );
+      expect(await adapter1.getUserBalance(user1.address)).to.equal(0);
+      expect(await adapter2.getUserBalance(user1.address)).to.equal(
+        ethers.parseEther("3")
+      );
+      expect(
+        await policyGuard.getProtocolExposure(
+          user1.address,
+          await adapter2.getAddress()
+        )
+      ).to.equal(ethers.parseEther("3"));
+
+      await expect(
+        strategyRouter
+          .connect(user1)
+          .withdrawFromIntent(intentId, ethers.parseEther("4"), user2.address)
+      ).to.be.revertedWithCustomError(strategyRouter, "InsufficientBalance");
+    });
+
+    it("Should count withdrawals against PolicyGuard limits and emit WithdrawalBlocked", async function () {
+      const {
+        strategyRouter,
+        policyGuard,
+        adapter1,
+        token,
+        user1,
+        user2,
+        intentId,
+      } = await loadFixture(deployCustodyFixture);
+      const adapter = await adapter1.getAddress();
+      await strategyRouter
+        .connect(user1)
+        .depositToIntent(
+          intentId,
+          await token.getAddress(),
+          ethers.parseEther("60"),
+          adapter
+        );
+
+      // 60 deposited + 30 withdrawn stays within the 100 daily limit
+      await expect(
+        strategyRouter
+          .connect(user1)
+          .withdrawFromIntent(intentId, ethers.parseEther("30"), user2.address)
+      ).to.emit(strategyRouter, "FundsWithdrawn");
+      expect(
+        await policyGuard.getWindowSpent(
+          user1.address,
+          await token.getAddress()
+        )
+      ).to.equal(ethers.parseEther("90"));
+      expect(
+        await policyGuard.getProtocolExposure(user1.address, adapter)
+      ).to.equal(ethers.parseEther("30"));
+
+      await expect(
+        strategyRouter
+          .connect(user1)
+          .withdrawFromIntent(intentId, ethers.parseEther("20"), user2.address)
+      )
+        .to.emit(strategyRouter, "WithdrawalBlocked")
+        .withArgs(intentId, user2.address, ethers.parseEther("20"))
+        .and.not.to.emit(strategyRouter, "FundsWithdrawn");
+
+      expect(await token.balanceOf(user2.address)).to.equal(
+        ethers.parseEther("30")
+      );
+      expect(await adapter1.getUserBalance(user1.address)).to.equal(
+        ethers.parseEther("30")
+      );
+      const history = await policyGuard.getViolationHistory(user1.address);
+      expect(history[0].reason).to.equal(ReasonCode.DAILY_LIMIT);
+      expect(history[0].protocol).to.equal(user2.address);
+    });
+
+    it("Should emit DepositBlocked and move no tokens when PolicyGuard rejects a deposit", async function () {
+      const { strategyRouter, policyGuard, adapter1, token, user1, intentId } =
+        await loadFixture(deployCustodyFixture);
+      const adapter = await adapter1.getAddress();
+      const amount = ethers.parseEther("101");
+      await token.mint(user1.address, amount);
+
+      await expect(
+        strategyRouter
+          .connect(user1)
+          .depositToIntent(intentId, await token.getAddress(), amount, adapter)
+      )
+        .to.emit(strategyRouter, "DepositBlocked")
+        .withArgs(intentId, adapter, amount)
+        .and.not.to.emit(strategyRouter, "FundsDeposited");
+
+      expect(await token.balanceOf(adapter)).to.equal(0);
+      const history = await policyGuard.getViolationHistory(user1.address);
+      expect(history[0].reason).to.equal(ReasonCode.DAILY_LIMIT);
+    });
+
+    it("Should measure deposit exposure against the portfolio including the deposit", async function () {
+      const {
+        strategyRouter,
+        policyGuard,
+        adapter1,
+        adapter2,
+        token,
+        owner,
+        user1,
+        intentId,
+      } = await loadFixture(deployCustodyFixture);
+      const tokenAddress = await token.getAddress();
+      const first = await adapter1.getAddress();
+      const second = await adapter2.getAddress();
+      await policyGuard
+        .connect(owner)
+        .setStrategyRouter(await strategyRouter.getAddress());
+
+      // A top-up into the only position stays within a 100% cap
+      await strategyRouter
+        .connect(user1)
+        .depositToIntent(intentId, tokenAddress, ethers.parseEther("5"), first);
+      await expect(
+        strategyRouter
+          .connect(user1)
+          .depositToIntent(intentId, tokenAddress, 1, first)
+      ).to.emit(strategyRouter, "FundsDeposited");
+
+      // With a 50% cap, a second position may grow to half of the portfolio including itself
+      await policyGuard
+        .connect(user1)
+        .updatePolicy(ethers.parseEther("100"), 5000, 10, false);
+      await expect(
+        strategyRouter
+          .connect(user1)
+          .depositToIntent(
+            intentId,
+            tokenAddress,
+            ethers.parseEther("5") + 1n,
+            second
+          )
+      ).to.emit(strategyRouter, "FundsDeposited");
+      await expect(
+        strategyRouter
+          .connect(user1)
+          .depositToIntent(intentId, tokenAddress, 1, second)
+      )
+        .to.emit(strategyRouter, "DepositBlocked")
+        .withArgs(intentId, second, 1);
+
+      const history = await policyGuard.getViolationHistory(user1.address);
+      expect(history[history.length - 1].reason).to.equal(
+        ReasonCode.EXPOSURE_LIMIT
+      );
+    });
+
+    it("Should hold a first deposit to the exposure cap", async function () {
+      const {
+        strategyRouter,
+        policyGuard,
+        adapter1,
+        token,
+        owner,
+        user1,
+        intentId,
+      } = await loadFixture(deployCustodyFixture);
+      await policyGuard
+        .connect(owner)
+        .setStrategyRouter(await strategyRouter.getAddress());
+      await policyGuard
+        .connect(user1)
+        .updatePolicy(ethers.parseEther("100"), 5000, 10, false);
+
+      // With nothing in the portfolio yet, the deposit would be all of it
+      await expect(
+        strategyRouter
+          .connect(user1)
+          .depositToIntent(
+            intentId,
+            await token.getAddress(),
+            ethers.parseEther("5"),
+            await adapter1.getAddress()
+          )
+      ).to.emit(strategyRouter, "DepositBlocked");
+
+      const history = await policyGuard.getViolationHistory(user1.address);
+      expect(history[history.length - 1].reason).to.equal(
+        ReasonCode.EXPOSURE_LIMIT
+      );
+    });
+
+    it("Should hold a first deposit to the category exposure cap", async function () {
+      const {
+        strategyRouter,
+        policyGuard,
+        adapter1,
+        token,
+        owner,
+        user1,
+        intentId,
+      } = await loadFixture(deployCustodyFixture);
+      const category = ethers.encodeBytes32String("LENDING");
+      await policyGuard
+        .connect(owner)
+        .setStrategyRouter(await strategyRouter.getAddress());
+      await policyGuard
+        .connect(owner)
+        .setProtocolCategory(await adapter1.getAddress(), category);
+      await policyGuard.connect(user1).setCategoryExposureCap(category, 5000);
+
+      await expect(
+        strategyRouter
+          .connect(user1)
+          .depositToIntent(
+            intentId,
+            await token.getAddress(),
+            ethers.parseEther("5"),
+            await adapter1.getAddress()
+          )
+      ).to.emit(strategyRouter, "DepositBlocked");
+
+      const history = await policyGuard.getViolationHistory(user1.address);
+      expect(history[history.length - 1].reason).to.equal(
+        ReasonCode.CATEGORY_EXPOSURE_LIMIT
+      );
+    });
+
+    it("Should reject deposits in a different asset than the adapter or intent", async function () {
+      const { strategyRouter, adapter1, adapter2, token, user1, intentId } =
+        await loadFixture(deployCustodyFixture);
+      const MockERC20 = await ethers.getContractFactory("MockERC20");
+      const other = await MockERC20.deploy("Other", "OTH");
+
+      await expect(
+        strategyRouter
+          .connect(user1)
+          .depositToIntent(
+            intentId,
+            await other.getAddress(),
+            1,
+            await adapter1.getAddress()
+          )
+      ).to.be.revertedWithCustomError(strategyRouter, "AssetMismatch");
+
+      await strategyRouter
+        .connect(user1)
+        .depositToIntent(
+          intentId,
+          await token.getAddress(),
+          1,
+          await adapter1.getAddress()
+        );
+
+      // The intent is now bound to token, even for an adapter holding the other asset
+      await adapter2.setMockAsset(await other.getAddress());
+      await expect(
+        strategyRouter
+          .connect(user1)
+          .depositToIntent(
+            intentId,
+            await other.getAddress(),
+            1,
+            await adapter2.getAddress()
+          )
+      ).to.be.revertedWithCustomError(strategyRouter, "AssetMismatch");
+    });
+
+    it("Should screen the owner of idle deposits", async function () {
+      const { strategyRouter, policyGuard, token, owner, user1, intentId } =
+        await loadFixture(deployCustodyFixture);
+      const idleDeposit = () =>
+        strategyRouter
+          .connect(user1)
+          .depositToIntent(
+            intentId,
+            token.target,
+            ethers.parseEther("1"),
+            ethers.ZeroAddress
+          );
+
+      const MockSanctionsList = await ethers.getContractFactory(
+        "MockSanctionsList"
+      );
+      const sanctions = await MockSanctionsList.deploy();
+      await sanctions.setSanctioned(user1.address, true);
+      await policyGuard
+        .connect(owner)
+        .setSanctionsList(await sanctions.getAddress(), true);
+      await expect(idleDeposit()).to.be.revertedWithCustomError(
+        strategyRouter,
+        "UserSanctioned"
+      );
+
+      await sanctions.setSanctioned(user1.address, false);
+      await policyGuard
+        .connect(owner)
+        .emergencyPause(user1.address, "Suspicious activity");
+      await expect(idleDeposit()).to.be.revertedWithCustomError(
+        strategyRouter,
+        "NoActivePolicy"
+      );
+      expect(
+        await strategyRouter.idleBalances(user1.address, token.target)
+      ).to.equal(0);
+    });
+
+    it("Should reject routes between adapters holding different assets", async function () {
+      const { strategyRouter, adapter1, adapter2, token, user1, intentId } =
+        await loadFixture(deployCustodyFixture);
+
+      await strategyRouter
+        .connect(user1)
+        .depositToIntent(
+          intentId,
+          await token.getAddress(),
+          ethers.parseEther("1"),
+          await adapter1.getAddress()
+        );
+      await adapter2.setMockAsset(ethers.ZeroAddress);
+      const route = {
+        fromAdapter: await adapter1.getAddress(),
+        toAdapter: await adapter2.getAddress(),
+        amount: ethers.parseEther("1"),
+        minReceived: 0,
+        data: "0x",
+      };
+
+      const [ok, code, reason] = await strategyRouter.canExecuteRoute(
+        intentId,
+        [route]
+      );
+      expect(ok).to.equal(false);
+      expect(code).to.equal(ReasonCode.ASSET_MISMATCH);
+      expect(reason).to.equal("Adapters hold different assets");
+
+      await expect(
+        strategyRouter.connect(user1).executeRoute(intentId, [route])
+      ).to.be.revertedWithCustomError(strategyRouter, "AssetMismatch");
+    });
+
+    it("Should screen withdrawal recipients and restrict withdrawals to the owner", async function () {
+      const {
+        strategyRouter,
+        policyGuard,
+        adapter1,
+        token,
+        owner,
+        user1,
+        user2,
+        attacker,
+        intentId,
+      } = await loadFixture(deployCustodyFixture);
+      await strategyRouter
+        .connect(user1)
+        .depositToIntent(
+          intentId,
+          await token.getAddress(),
+          ethers.parseEther("2"),
+          await adapter1.getAddress()
+        );
+
+      await expect(
+        strategyRouter
+          .connect(attacker)
+          .withdrawFromIntent(intentId, 1, attacker.address)
+      ).to.be.revertedWithCustomError(strategyRouter, "NotIntentOwner");
+
+      const MockSanctionsList = await ethers.getContractFactory(
+        "MockSanctionsList"
+      );
+      const sanctions = await MockSanctionsList.deploy();
+      await sanctions.setSanctioned(attacker.address, true);
+      await policyGuard
+        .connect(owner)
+        .setSanctionsList(await sanctions.getAddress(), true);
+
+      await expect(
+        strategyRouter
+          .connect(user1)
+          .withdrawFromIntent(intentId, 1, attacker.address)
+      ).to.be.revertedWithCustomError(strategyRouter, "RecipientSanctioned");
+
+      // Deactivating an intent does not strand its funds
+      await strategyRouter.connect(user1).deactivateIntent(intentId);
+      await strategyRouter
+        .connect(user1)
+        .withdrawFromIntent(intentId, ethers.parseEther("2"), user2.address);
+      expect(await token.balanceOf(user2.address)).to.equal(
+        ethers.parseEther("2")
+      );
+    });
+
+    it("Should let a paused owner withdraw to their own address", async function () {
+      const {
+        strategyRouter,
+        policyGuard,
+        adapter1,
+        token,
+        owner,
+        user1,
+        user2,
+        intentId,
+      } = await loadFixture(deployCustodyFixture);
+      await strategyRouter
+        .connect(user1)
+        .depositToIntent(
+          intentId,
+          token.target,
+          ethers.parseEther("2"),
+          adapter1.target
+        );
+      await policyGuard
+        .connect(owner)
+        .emergencyPause(user1.address, "Suspicious activity");
+
+      await expect(
+        strategyRouter
+          .connect(user1)
+          .withdrawFromIntent(intentId, ethers.parseEther("1"), user2.address)
+      ).to.be.revertedWithCustomError(policyGuard, "NoActivePolicy");
+
+      await expect(
+        strategyRouter
+          .connect(user1)
+          .withdrawFromIntent(intentId, ethers.parseEther("2"), user1.address)
+      )
+        .to.emit(strategyRouter, "FundsWithdrawn")
+        .withArgs(
+          intentId,
+          user1.address,
+          ethers.parseEther("2"),
+          ethers.parseEther("2")
+        );
+      expect(await token.balanceOf(user1.address)).to.equal(
+        ethers.parseEther("100")
+      );
+    });
+
+    it("Should let an automatically paused owner withdraw to their own address", async function () {
+      const {
+        strategyRouter,
+        policyGuard,
+        adapter1,
+        token,
+        owner,
+        user1,
+        intentId,
+      } = await loadFixture(deployCustodyFixture);
+      await policyGuard.connect(owner).setViolationThresholds(3600, 2, 0);
+      await policyGuard
+        .connect(user1)
+        .setAssetVelocityLimits(token.target, ethers.parseEther("1"), 0);
+      const deposit = (amount) =>
+        strategyRouter
+          .connect(user1)
+          .depositToIntent(intentId, token.target, amount, adapter1.target);
+
+      await deposit(ethers.parseEther("1"));
+      await expect(deposit(ethers.parseEther("2"))).to.emit(
+        strategyRouter,
+        "DepositBlocked"
+      );
+      await expect(deposit(ethers.parseEther("2"))).to.emit(
+        policyGuard,
+        "UserAutoPaused"
+      );
+      expect(await policyGuard.userPaused(user1.address)).to.equal(true);
+
+      await expect(
+        strategyRouter
+          .connect(user1)
+          .withdrawFromIntent(intentId, ethers.parseEther("1"), user1.address)
+      ).to.emit(strategyRouter, "FundsWithdrawn");
+      expect(await token.balanceOf(user1.address)).to.equal(
+        ethers.parseEther("100")
+      );
+    });
+
+    it("Should not count withdrawals to the owner against their limits", async function () {
+      const {
+        strategyRouter,
+        policyGuard,
+        adapter1,
+        token,
+        user1,
+        user2,
+        intentId,
+      } = await loadFixture(deployCustodyFixture);
+      await policyGuard.connect(user1).setVelocityLimits(1, 0);
+      await strategyRouter
+        .connect(user1)
+        .depositToIntent(
+          intentId,
+          token.target,
+          ethers.parseEther("2"),
+          adapter1.target
+        );
+
+      await expect(
+        strategyRouter
+          .connect(user1)
+          .withdrawFromIntent(intentId, ethers.parseEther("1"), user2.address)
+      ).to.emit(strategyRouter, "WithdrawalBlocked");
+
+      await expect(
+        strategyRouter
+          .connect(user1)
+          .withdrawFromIntent(intentId, ethers.parseEther("1"), user1.address)
+      ).to.emit(strategyRouter, "FundsWithdrawn");
+      expect(await policyGuard.getTransferCount(user1.address)).to.equal(1);
+    });
+
+    it("Should only suggest adapters holding a funded intent's asset", async function () {
+      const { strategyRouter, adapter1, adapter2, token, user1, intentId } =
+        await loadFixture(deployCustodyFixture);
+      await strategyRouter
+        .connect(user1)
+        .depositToIntent(
+          intentId,
+          await token.getAddress(),
+          1,
+          adapter2.target
+        );
+
+      // adapter1 scores best but no longer holds the intent's asset
+      await adapter1.setMockAsset(ethers.ZeroAddress);
+      const [best] = await strategyRouter.getOptimalRoute(intentId, 500, 5);
+      expect(best).to.equal(adapter2.target);
+    });
+
+    it("Should revert when the token reports a failed transfer", async function () {
+      const { strategyRouter, adapter1, token, user1, intentId } =
+        await loadFixture(deployCustodyFixture);
+      await token.setFailTransfers(true);
+
+      await expect(
+        strategyRouter
+          .connect(user1)
+          .depositToIntent(
+            intentId,
+            await token.getAddress(),
+            1,
+            await adapter1.getAddress()
+          )
+      ).to.be.revertedWithCustomError(strategyRouter, "TransferFailed");
+    });
+  });
+
+  describe("Liquidity Reserve", function () {
+    it("Should let risk managers designate registered adapters as liquid", async function () {
+      const { strategyRouter, adapter1, owner, attacker } = await loadFixture(
+        deployCustodyFixture
+      );
+      const adapter = await adapter1.getAddress();
+
+      await expect(
+        strategyRouter.connect(attacker).setLiquidAdapter(adapter, true)
+      ).to.be.revertedWithCustomError(strategyRouter, "MissingRole");
+      await expect(
+        strategyRouter.connect(owner).setLiquidAdapter(attacker.address, true)
+      ).to.be.revertedWithCustomError(strategyRouter, "AdapterNotRegistered");
+
+      await expect(
+        strategyRouter.connect(owner).setLiquidAdapter(adapter, true)
+      )
+        .to.emit(strategyRouter, "LiquidAdapterUpdated")
+        .withArgs(adapter, true);
+      expect(await strategyRouter.liquidAdapters(adapter)).to.equal(true);
+    });
+
+    it("Should count idle funds and liquid adapters towards the liquid position", async function () {
+      const {
+        strategyRouter,
+        adapter1,
+        adapter2,
+        token,
+        owner,
+        user1,
+        intentId,
+      } = await loadFixture(deployCustodyFixture);
+      const tokenAddress = await token.getAddress();
+      await strategyRouter
+        .connect(owner)
+        .setLiquidAdapter(await adapter1.getAddress(), true);
+
+      await strategyRouter
+        .connect(user1)
+        .depositToIntent(
+          intentId,
+          tokenAddress,
+          ethers.parseEther("3"),
+          ethers.ZeroAddress
+        );
+      await strategyRouter
+        .connect(user1)
+        .depositToIntent(
+          intentId,
+          tokenAddress,
+          ethers.parseEther("4"),
+          await adapter1.getAddress()
+        );
+      await strategyRouter
+        .connect(user1)
+        .depositToIntent(
+          intentId,
+          tokenAddress,
+          ethers.parseEther("5"),
+          await adapter2.getAddress()
+        );
+
+      // Idle deposits stay with the router
+      expect(await token.balanceOf(await strategyRouter.getAddress())).to.equal(
+        ethers.parseEther("3")
+      );
+      expect(
+        await strategyRouter.idleBalances(user1.address, tokenAddress)
+      ).to.equal(ethers.parseEther("3"));
+      expect(await strategyRouter.getLiquidPosition(intentId)).to.equal(
+        ethers.parseEther("7")
+      );
+    });
+
+    it("Should refuse routes that would take the liquid position below the reserve", async function () {
+      const {
+        strategyRouter,
+        adapter1,
+        adapter2,
+        token,
+        owner,
+        user1,
+        intentId,
+      } = await loadFixture(deployCustodyFixture);
+      await strategyRouter
+        .connect(owner)
+        .setLiquidAdapter(await adapter1.getAddress(), true);
+      await strategyRouter
+        .connect(user1)
+        .updateIntent(
+          intentId,
+          800,
+          5,
+          ethers.parseEther("6"),
+          ethers.parseEther("0.01")
+        );
+      await strategyRouter
+        .connect(user1)
+        .depositToIntent(
+          intentId,
+          await token.getAddress(),
+          ethers.parseEther("10"),
+          await adapter1.getAddress()
+        );
+
+      const route = (amount) => ({
+        fromAdapter: adapter1.target,
+        toAdapter: adapter2.target,
+        amount,
+        minReceived: 0,
+        data: "0x",
+      });
+
+      const [ok, code, reason] = await strategyRouter.canExecuteRoute(
+        intentId,
+        [route(ethers.parseEther("3")), route(ethers.parseEther("2"))]
+      );
+      expect(ok).to.equal(false);
+      expect(code).to.equal(ReasonCode.LIQUIDITY_RESERVE);
+      expect(reason).to.equal("Liquidity reserve breached");
+
+      await expect(
+        strategyRouter
+          .connect(user1)
+          .executeRoute(intentId, [route(ethers.parseEther("5"))])
+      ).to.be.revertedWithCustomError(
+        strategyRouter,
+        "LiquidityReserveBreached"
+      );
+
+      await expect(
+        strategyRouter
+          .connect(user1)
+          .executeRoute(intentId, [route(ethers.parseEther("4"))])
+      ).to.emit(strategyRouter, "FundsRouted");
+      expect(await strategyRouter.getLiquidPosition(intentId)).to.equal(
+        ethers.parseEther("6")
+      );
+    });
+
+    it("Should keep the reserves of all the owner's intents in the asset", async function () {
+      const {
+        strategyRouter,
+        adapter1,
+        adapter2,
+        token,
+        owner,
+        user1,
+        intentId,
+      } = await loadFixture(deployCustodyFixture);
+      const tokenAddress = await token.getAddress();
+      await strategyRouter
+        .connect(owner)
+        .setLiquidAdapter(await adapter1.getAddress(), true);
+      await strategyRouter
+        .connect(user1)
+        .updateIntent(
+          intentId,
+          800,
+          5,
+          ethers.parseEther("3"),
+          ethers.parseEther("0.01")
+        );
+      const tx = await strategyRouter
+        .connect(user1)
+        .createIntent(
+          800,
+          5,
+          ethers.parseEther("4"),
+          ethers.parseEther("0.01")
+        );
+      const receipt = await tx.wait();
+      const otherId = receipt.logs
+        .map((log) => strategyRouter.interface.parseLog(log))
+        .find((parsed) => parsed?.name === "IntentCreated").args.intentId;
+      await strategyRouter
+        .connect(user1)
+        .depositToIntent(
+          otherId,
+          tokenAddress,
+          ethers.parseEther("1"),
+          await adapter1.getAddress()
+        );
+      await strategyRouter
+        .connect(user1)
+        .depositToIntent(
+          intentId,
+          tokenAddress,
+          ethers.parseEther("10"),
+          await adapter1.getAddress()
+        );
+      expect(
+        await strategyRouter.getRequiredReserve(user1.address, tokenAddress)
+      ).to.equal(ethers.parseEther("7"));
+
+      const route = (amount) => ({
+        fromAdapter: adapter1.target,
+        toAdapter: adapter2.target,
+        amount,
+        minReceived: 0,
+        data: "0x",
+      });
+
+      // 11 liquid - 5 would cover this intent's reserve of 3 but not both reserves
+      expect(
+        (
+          await strategyRouter.canExecuteRoute(intentId, [
+            route(ethers.parseEther("5")),
+          ])
+        )[1]
+      ).to.equal(ReasonCode.LIQUIDITY_RESERVE);
+      await expect(
+        strategyRouter
+          .connect(user1)
+          .executeRoute(intentId, [route(ethers.parseEther("5"))])
+      ).to.be.revertedWithCustomError(
+        strategyRouter,
+        "LiquidityReserveBreached"
+      );
+
+      // Deactivated intents no longer hold a reserve
+      await strategyRouter.connect(user1).deactivateIntent(otherId);
+      expect(
+        await strategyRouter.getRequiredReserve(user1.address, tokenAddress)
+      ).to.equal(ethers.parseEther("3"));
+      await expect(
+        strategyRouter
+          .connect(user1)
+          .executeRoute(intentId, [route(ethers.parseEther("5"))])
+      ).to.emit(strategyRouter, "FundsRouted");
+    });
+
+    it("Should keep the reserves in the asset when routing through another intent", async function () {
+      const {
+        strategyRouter,
+        adapter1,
+        adapter2,
+        token,
+        owner,
+        user1,
+        intentId,
+      } = await loadFixture(deployCustodyFixture);
+      await strategyRouter
+        .connect(owner)
+        .setLiquidAdapter(await adapter1.getAddress(), true);
+      await strategyRouter
+        .connect(user1)
+        .updateIntent(
+          intentId,
+          800,
+          5,
+          ethers.parseEther("6"),
+          ethers.parseEther("0.01")
+        );
+      await strategyRouter
+        .connect(user1)
+        .depositToIntent(
+          intentId,
+          await token.getAddress(),
+          ethers.parseEther("10"),
+          await adapter1.getAddress()
+        );
+
+      // A second intent with no reserve and no deposits of its own
+      const tx = await strategyRouter
+        .connect(user1)
+        .createIntent(800, 5, 0, ethers.parseEther("0.01"));
+      const receipt = await tx.wait();
+      const otherId = receipt.logs
+        .map((log) => strategyRouter.interface.parseLog(log))
+        .find((parsed) => parsed?.name === "IntentCreated").args.intentId;
+
+      const route = (amount) => ({
+        fromAdapter: adapter1.target,
+        toAdapter: adapter2.target,
+        amount,
+        minReceived: 0,
+        data: "0x",
+      });
+
+      const [ok, code] = await strategyRouter.canExecuteRoute(otherId, [
+        route(ethers.parseEther("5")),
+      ]);
+      expect(ok).to.equal(false);
+      expect(code).to.equal(ReasonCode.LIQUIDITY_RESERVE);
+      await expect(
+        strategyRouter
+          .connect(user1)
+          .executeRoute(otherId, [route(ethers.parseEther("5"))])
+      ).to.be.revertedWithCustomError(
+        strategyRouter,
+        "LiquidityReserveBreached"
+      );
+
+      await expect(
+        strategyRouter
+          .connect(user1)
+          .executeRoute(otherId, [route(ethers.parseEther("4"))])
+      ).to.emit(strategyRouter, "FundsRouted");
+      expect(await strategyRouter.getLiquidPosition(intentId)).to.equal(
+        ethers.parseEther("6")
+      );
+    });
+
+    it("Should draw withdrawals from the reserve last", async function () {
+      const {
+        strategyRouter,
+        adapter1,
+        adapter2,
+        token,
+        owner,
+        user1,
+        user2,
+        intentId,
+      } = await loadFixture(deployCustodyFixture);
+      const tokenAddress = await token.getAddress();
+      await strategyRouter
+        .connect(owner)
+        .setLiquidAdapter(await adapter1.getAddress(), true);
+
+      await strategyRouter
+        .connect(user1)
+        .depositToIntent(
+          intentId,
+          tokenAddress,
+          ethers.parseEther("2"),
+          ethers.ZeroAddress
+        );
+      await strategyRouter
+        .connect(user1)
+        .depositToIntent(
+          intentId,
+          tokenAddress,
+          ethers.parseEther("3"),
+          await adapter1.getAddress()
+        );
+      await strategyRouter
+        .connect(user1)
+        .depositToIntent(
+          intentId,
+          tokenAddress,
+          ethers.parseEther("4"),
+          await adapter2.getAddress()
+        );
+
+      // The non-liquid adapter is drained first, then the liquid adapter
+      await strategyRouter
+        .connect(user1)
+        .withdrawFromIntent(intentId, ethers.parseEther("5"), user2.address);
+      expect(await adapter2.getUserBalance(user1.address)).to.equal(0);
+      expect(await adapter1.getUserBalance(user1.address)).to.equal(
+        ethers.parseEther("2")
+      );
+      expect(
+        await strategyRouter.idleBalances(user1.address, tokenAddress)
+      ).to.equal(ethers.parseEther("2"));
+
+      // Idle funds go last
+      await strategyRouter
+        .connect(user1)
+        .withdrawFromIntent(intentId, ethers.parseEther("4"), user2.address);
+      expect(
+        await strategyRouter.idleBalances(user1.address, tokenAddress)
+      ).to.equal(0);
+      expect(await token.balanceOf(user2.address)).to.equal(
+        ethers.parseEther("9")
+      );
+      expect(await token.balanceOf(await strategyRouter.getAddress())).to.equal(
+        0
+      );
+    });
+  });
+
+  describe("Expense Intents", function () {
+    it("Should size the reserve from monthly spend and months", async function () {
+      const { strategyRouter, user1 } = await loadFixture(
+        deployStrategyRouterFixture
+      );
+      const monthly = ethers.parseEther("2");
+
+      const tx = await strategyRouter
+        .connect(user1)
+        .createExpenseIntent(800, 5, monthly, 3, false, 0);
+      const receipt = await tx.wait();
+      const intentId = receipt.logs
+        .map((log) => strategyRouter.interface.parseLog(log))
+        .find((parsed) => parsed?.name === "IntentCreated").args.intentId;
+
+      await expect(tx)
+        .to.emit(strategyRouter, "ExpenseTargetUpdated")
+        .withArgs(intentId, monthly, 3, false, ethers.parseEther("6"));
+
+      const intent = await strategyRouter.getIntent(intentId);
+      expect(intent.liquidityReserve).to.equal(ethers.parseEther("6"));
+      expect(intent.expenses.monthlyAmount).to.equal(monthly);
+      expect(intent.expenses.months).to.equal(3);
+      expect(intent.expenses.trackOutflows).to.equal(false);
+    });
+
+    it("Should reject invalid expense targets", async function () {
+      const { strategyRouter, user1 } = await loadFixture(
+        deployStrategyRouterFixture
+      );
+
+      for (const [monthly, months] of [
+        [0, 2],
+        [1, 0],
+        [1, 121],
+      ]) {
+        await expect(
+          strategyRouter
+            .connect(user1)
+            .createExpenseIntent(800, 5, monthly, months, false, 0)
+        ).to.be.revertedWithCustomError(
+          strategyRouter,
+          "InvalidLiquidityReserve"
+        );
+      }
+    });
+
+    it("Should switch between fixed and expense-based reserves", async function () {
+      const { strategyRouter, user1, attacker, intentId } = await loadFixture(
+        deployCustodyFixture
+      );
+
+      await expect(
+        strategyRouter
+          .connect(attacker)
+          .setExpenseTarget(intentId, ethers.parseEther("1"), 2, true)
+      ).to.be.revertedWithCustomError(strategyRouter, "NotIntentOwner");
+
+      await strategyRouter
+        .connect(user1)
+        .setExpenseTarget(intentId, ethers.parseEther("1"), 2, true);
+      expect(
+        (await strategyRouter.getIntent(intentId)).liquidityReserve
+      ).to.equal(ethers.parseEther("2"));
+
+      // An absolute reserve replaces the expense target
+      await strategyRouter
+        .connect(user1)
+        .updateIntent(intentId, 800, 5, ethers.parseEther("5"), 0);
+      const intent = await strategyRouter.getIntent(intentId);
+      expect(intent.liquidityReserve).to.equal(ethers.parseEther("5"));
+      expect(intent.expenses.months).to.equal(0);
+      expect(intent.expenses.trackOutflows).to.equal(false);
+    });
+
+    it("Should adjust the monthly estimate from tracked outflows", async function () {
+      const { strategyRouter, adapter1, token, user1, user2, intentId } =
+        await loadFixture(deployCustodyFixture);
+      const withdraw = (amount) =>
+        strategyRouter
+          .connect(user1)
+          .withdrawFromIntent(
+            intentId,
+            ethers.parseEther(amount),
+            user2.address
+          );
+
+      await strategyRouter
+        .connect(user1)
+        .setExpenseTarget(intentId, ethers.parseEther("1"), 2, true);
+      await strategyRouter
+        .connect(user1)
+        .depositToIntent(
+          intentId,
+          await token.getAddress(),
+          ethers.parseEther("10"),
+          await adapter1.getAddress()
+        );
+
+      // Spend 3 in the first period; nothing is settled until it ends
+      await withdraw("3");
+      expect(
+        (await strategyRouter.getIntent(intentId)).expenses.periodOutflow
+      ).to.equal(ethers.parseEther("3"));
+
+      // The estimate moves halfway towards the observed 3: (1 + 3) / 2 = 2
+      await time.increase(30 * 24 * 60 * 60);
+      await expect(withdraw("1"))
+        .to.emit(strategyRouter, "MonthlyExpensesAdjusted")
+        .withArgs(
+          intentId,
+          ethers.parseEther("3"),
+          ethers.parseEther("2"),
+          ethers.parseEther("4")
+        );
+
+      // Three periods later: (2 + 1) / 2, halved for each of the two empty periods
+      await time.increase(90 * 24 * 60 * 60);
+      await expect(withdraw("1"))
+        .to.emit(strategyRouter, "MonthlyExpensesAdjusted")
+        .withArgs(
+          intentId,
+          ethers.parseEther("1"),
+          ethers.parseEther("0.375"),
+          ethers.parseEther("0.75")
+        );
+
+      const intent = await strategyRouter.getIntent(intentId);
+      expect(intent.expenses.monthlyAmount).to.equal(
+        ethers.parseEther("0.375")
+      );
+      expect(intent.expenses.periodOutflow).to.equal(ethers.parseEther("1"));
+      expect(intent.liquidityReserve).to.equal(ethers.parseEther("0.75"));
+    });
+
+    it("Should leave the estimate alone without outflow tracking", async function () {
+      const { strategyRouter, adapter1, token, user1, user2, intentId } =
+        await loadFixture(deployCustodyFixture);
+
+      await strategyRouter
+        .connect(user1)
+        .setExpenseTarget(intentId, ethers.parseEther("1"), 2, false);
+      await strategyRouter
+        .connect(user1)
+        .depositToIntent(
+          intentId,
+          await token.getAddress(),
+          ethers.parseEther("10"),
+          await adapter1.getAddress()
+        );
+
+      await time.increase(30 * 24 * 60 * 60);
+      await expect(
+        strategyRouter
+          .connect(user1)
+          .withdrawFromIntent(intentId, ethers.parseEther("3"), user2.address)
+      ).not.to.emit(strategyRouter, "MonthlyExpensesAdjusted");
+
+      const intent = await strategyRouter.getIntent(intentId);
+      expect(intent.expenses.monthlyAmount).to.equal(ethers.parseEther("1"));
+      expect(intent.expenses.periodOutflow).to.equal(0);
+    });
+  });
+
+  describe("Keeper Rebalancing", function () {
+    // The custody intent targets 8% APY at risk <= 5, so the optimal adapter is
+    // adapter1 (8% APY, risk 3); funds start in adapter2 (6% APY)
+    async function deployRebalanceFixture() {
+      const fixture = await deployCustodyFixture();
+      const { strategyRouter, adapter2, token, owner, user1, user2, intentId } =
+        fixture;
+
+      await strategyRouter
+        .connect(owner)
+        .grantRole(await strategyRouter.KEEPER_ROLE(), user2.address);
+      await strategyRouter
+        .connect(user1)
+        .depositToIntent(
+          intentId,
+          await token.getAddress(),
+          ethers.parseEther("10"),
+          await adapter2.getAddress()
+        );
+
+      return { ...fixture, keeper: user2 };
+    }
+
+    it("Should only let funded intents opt in", async function () {
+      const { strategyRouter, user1, attacker, intentId } = await loadFixture(
+        deployCustodyFixture
+      );
+
+      await expect(
+        strategyRouter.connect(user1).setAutoRebalance(intentId, true, 100)
+      ).to.be.revertedWithCustomError(strategyRouter, "IntentNotFunded");
+
+      const { strategyRouter: router, intentId: fundedId } = await loadFixture(
+        deployRebalanceFixture
+      );
+      await expect(
+        router.connect(attacker).setAutoRebalance(fundedId, true, 100)
+      ).to.be.revertedWithCustomError(router, "NotIntentOwner");
+      await expect(router.connect(user1).setAutoRebalance(fundedId, true, 100))
+        .to.emit(router, "AutoRebalanceUpdated")
+        .withArgs(fundedId, true, 100);
+    });
+
+    it("Should refuse intents sharing their asset with another active intent", async function () {
+      const { strategyRouter, adapter1, token, user1, keeper, intentId } =
+        await loadFixture(deployRebalanceFixture);
+      await strategyRouter.connect(user1).setAutoRebalance(intentId, true, 100);
+
+      // A second intent in the same asset shares the positions keepers would move
+      const tx = await strategyRouter
+        .connect(user1)
+        .createIntent(800, 5, 0, ethers.parseEther("0.01"));
+      const receipt = await tx.wait();
+      const otherId = receipt.logs
+        .map((log) => strategyRouter.interface.parseLog(log))
+        .find((parsed) => parsed?.name === "IntentCreated").args.intentId;
+      await strategyRouter
+        .connect(user1)
+        .depositToIntent(
+          otherId,
+          await token.getAddress(),
+          ethers.parseEther("1"),
+          await adapter1.getAddress()
+        );
+
+      await expect(
+        strategyRouter.connect(keeper).rebalance(intentId)
+      ).to.be.revertedWithCustomError(strategyRouter, "SharedAssetPosition");
+      await expect(
+        strategyRouter.connect(user1).setAutoRebalance(otherId, true, 100)
+      ).to.be.revertedWithCustomError(strategyRouter, "SharedAssetPosition");
+
+      // Opting out stays possible, and the first intent works again once it is alone
+      await strategyRouter.connect(user1).setAutoRebalance(otherId, false, 0);
+      await strategyRouter.connect(user1).deactivateIntent(otherId);
+      await expect(strategyRouter.connect(keeper).rebalance(intentId)).to.emit(
+        strategyRouter,
+        "Rebalanced"
+      );
+    });
+
+    it("Should move opted-in positions into the optimal adapter", async function () {
+      const {
+        strategyRouter,
+        adapter1,
+        adapter2,
+        token,
+        user1,
+        keeper,
+        attacker,
+        intentId,
+      } = await loadFixture(deployRebalanceFixture);
+
+      await expect(
+        strategyRouter.connect(keeper).rebalance(intentId)
+      ).to.be.revertedWithCustomError(strategyRouter, "AutoRebalanceDisabled");
+
+      await strategyRouter.connect(user1).setAutoRebalance(intentId, true, 100);
+
+      await expect(
+        strategyRouter.connect(attacker).rebalance(intentId)
+      ).to.be.revertedWithCustomError(strategyRouter, "MissingRole");
+
+      await expect(strategyRouter.connect(keeper).rebalance(intentId))
+        .to.emit(strategyRouter, "Rebalanced")
+        .withArgs(
+          intentId,
+          keeper.address,
+          adapter1.target,
+          ethers.parseEther("10"),
+          0,
+          0
+        )
+        .and.to.emit(strategyRouter, "FundsRouted");
+
+      expect(await adapter1.getUserBalance(user1.address)).to.equal(
+        ethers.parseEther("10")
+      );
+      expect(await adapter2.getUserBalance(user1.address)).to.equal(0);
+      expect(await token.balanceOf(adapter1.target)).to.equal(
+        ethers.parseEther("10")
+      );
+
+      // Already optimal
+      await expect(
+        strategyRouter.connect(keeper).rebalance(intentId)
+      ).to.be.revertedWithCustomError(strategyRouter, "NothingToRebalance");
+    });
+
+    it("Should not move positions for less than the minimum APY improvement", async function () {
+      const { strategyRouter, adapter2, user1, keeper, intentId } =
+        await loadFixture(deployRebalanceFixture);
+
+      // adapter1 only beats adapter2 by 200 bps
+      await strategyRouter.connect(user1).setAutoRebalance(intentId, true, 300);
+      await expect(
+        strategyRouter.connect(keeper).rebalance(intentId)
+      ).to.be.revertedWithCustomError(strategyRouter, "NothingToRebalance");
+
+      await adapter2.setMockAPY(450);
+      await expect(strategyRouter.connect(keeper).rebalance(intentId)).to.emit(
+        strategyRouter,
+        "Rebalanced"
+      );
+    });
+
+    it("Should pay the keeper a share of the harvested yield", async function () {
+      const {
+        strategyRouter,
+        adapter2,
+        token,
+        owner,
+        user1,
+        keeper,
+        intentId,
+      } = await loadFixture(deployRebalanceFixture);
+
+      await expect(
+        strategyRouter.connect(owner).setKeeperReward(1001)
+      ).to.be.revertedWithCustomError(strategyRouter, "InvalidKeeperReward");
+      await expect(strategyRouter.connect(owner).setKeeperReward(500))
+        .to.emit(strategyRouter, "KeeperRewardUpdated")
+        .withArgs(500);
+
+      await strategyRouter.connect(user1).setAutoRebalance(intentId, true, 0);
+      await adapter2.setMockYield(ethers.parseEther("1"));
+      await token.mint(adapter2.target, ethers.parseEther("1"));
+
+      await expect(strategyRouter.connect(keeper).rebalance(intentId))
+        .to.emit(strategyRouter, "Rebalanced")
+        .withArgs(
+          intentId,
+          keeper.address,
+          anyValue,
+          ethers.parseEther("10"),
+          ethers.parseEther("1"),
+          ethers.parseEther("0.05")
+        );
+
+      expect(await token.balanceOf(keeper.address)).to.equal(
+        ethers.parseEther("0.05")
+      );
+      expect(
+        await strategyRouter.idleBalances(
+          user1.address,
+          await token.getAddress()
+        )
+      ).to.equal(ethers.parseEther("0.95"));
+    });
+
+    it("Should keep the liquidity reserve in liquid adapters", async function () {
+      const {
+        strategyRouter,
+        adapter1,
+        adapter2,
+        owner,
+        user1,
+        keeper,
+        intentId,
+      } = await loadFixture(deployRebalanceFixture);
+
+      await strategyRouter
+        .connect(owner)
+        .setLiquidAdapter(adapter2.target, true);
+      await strategyRouter
+        .connect(user1)
+        .updateIntent(
+          intentId,
+          800,
+          5,
+          ethers.parseEther("6"),
+          ethers.parseEther("0.01")
+        );
+      await strategyRouter.connect(user1).setAutoRebalance(intentId, true, 0);
+
+      await strategyRouter.connect(keeper).rebalance(intentId);
+      expect(await adapter1.getUserBalance(user1.address)).to.equal(
+        ethers.parseEther("4")
+      );
+      expect(await strategyRouter.getLiquidPosition(intentId)).to.equal(
+        ethers.parseEther("6")
+      );
+    });
+
+    it("Should skip legs PolicyGuard would block without recording violations", async function () {
+      const {
+        strategyRouter,
+        policyGuard,
+        adapter1,
+        adapter2,
+        user1,
+        keeper,
+        intentId,
+      } = await loadFixture(deployRebalanceFixture);
+
+      await strategyRouter.connect(user1).setAutoRebalance(intentId, true, 100);
+      await policyGuard.connect(user1).updateDenylist([adapter1.target], true);
+
+      await expect(strategyRouter.connect(keeper).rebalance(intentId))
+        .to.emit(strategyRouter, "RouteBlocked")
+        .withArgs(intentId, 1, adapter1.target)
+        .and.to.emit(strategyRouter, "Rebalanced")
+        .withArgs(intentId, keeper.address, adapter1.target, 0, 0, 0);
+
+      expect(await adapter2.getUserBalance(user1.address)).to.equal(
+        ethers.parseEther("10")
+      );
+      expect(
+        await policyGuard.getViolationHistory(user1.address)
+      ).to.have.length(0);
+    });
+
+    it("Should revert when the rebalance costs more than the intent's maxGasCost", async function () {
+      const { strategyRouter, user1, keeper, intentId } = await loadFixture(
+        deployRebalanceFixture
+      );
+
+      await strategyRouter.connect(user1).updateIntent(intentId, 800, 5, 0, 1);
+      await strategyRouter.connect(user1).setAutoRebalance(intentId, true, 0);
+
+      await expect(
+        strategyRouter.connect(keeper).rebalance(intentId)
+      ).to.be.revertedWithCustomError(strategyRouter, "GasLimitExceeded");
+    });
+  });
+
+  describe("Optimal Route", function () {
+    it("Should find optimal route based on APY and risk", async function () {
+      const { strategyRouter, adapter1, adapter2, owner } = await loadFixture(
+        deployStrategyRouterFixture
+      );
+
+      await strategyRouter
+        .connect(owner)
+        .registerAdapter(await adapter1.getAddress(), "Aave");
+      await strategyRouter
+        .connect(owner)
+        .registerAdapter(await adapter2.getAddress(), "Compound");
+
+      // adapter1: 8% APY, risk 3
+      // adapter2: 6% APY, risk 5
+      const [bestAdapter, expectedAPY] = await strategyRouter.getOptimalRoute(
+        ethers.ZeroHash,
+        500,
+        5
+      );
+
+      expect(bestAdapter).to.equal(await adapter1.getAddress());
+      expect(expectedAPY).to.equal(800);
+    });
+
+    it("Should rank adapters using PolicyGuard's risk oracle", async function () {
+      const { strategyRouter, policyGuard, adapter1, adapter2, owner } =
+        await loadFixture(deployStrategyRouterFixture);
+
+      await strategyRouter
+        .connect(owner)
+        .registerAdapter(await adapter1.getAddress(), "Aave");
+      await strategyRouter
+        .connect(owner)
+        .registerAdapter(await adapter2.getAddress(), "Compound");
+
+      const MockRiskOracle = await ethers.getContractFactory("MockRiskOracle");
+      const riskOracle = await MockRiskOracle.deploy();
+      await policyGuard
+        .connect(owner)
+        .setRiskOracle(await riskOracle.getAddress(), 3600);
+
+      // Oracle rates adapter1 riskier than the intent allows
+      await riskOracle.setRiskScore(await adapter1.getAddress(), 7);
+
+      const [bestAdapter] = await strategyRouter.getOptimalRoute(
+        ethers.ZeroHash,
+        500,
+        5
+      );
+      expect(bestAdapter).to.equal(await adapter2.getAddress());
+
+      const [, , riskScore] = await strategyRouter.getAdapterInfo(
+        await adapter1.getAddress()
+      );
+      expect(riskScore).to.equal(7);
     });
 
     it("Should return zero address if no adapter meets criteria", async function () {